@@ -0,0 +1,92 @@
+/*
+ ==========================================
+  OFFISTATION PHILIPPINE ADDRESS DATA
+ ==========================================
+
+ Bundled region → province → city/municipality → barangay list used by the
+ checkout address pickers (`setupAddressPickers()` in script.js). It covers
+ the areas we deliver to most; add a city here to make it selectable. Places
+ that are not listed can still be typed in ("Other / not listed").
+
+ Each city carries the range of PHLPost ZIP codes it uses so the checkout
+ can check the postal code the customer types against the chosen city.
+
+ FIELDS:
+  - PH_ADDRESSES: Array of regions { name, provinces }
+  - province: { name, cities }
+  - city: { name, zip: [first, last] (inclusive, 4-digit strings), barangays: [names] }
+*/
+
+const PH_ADDRESSES = [
+    { name: 'National Capital Region (NCR)', provinces: [
+        { name: 'Metro Manila', cities: [
+            { name: 'City of Manila', zip: ['1000', '1018'], barangays: ['Binondo', 'Ermita', 'Intramuros', 'Malate', 'Paco', 'Quiapo', 'Sampaloc', 'San Miguel', 'Santa Cruz', 'Tondo'] },
+            { name: 'Quezon City', zip: ['1100', '1138'], barangays: ['Bagong Pag-asa', 'Batasan Hills', 'Commonwealth', 'Loyola Heights', 'Project 6', 'Teachers Village East', 'UP Campus'] },
+            { name: 'Makati City', zip: ['1200', '1235'], barangays: ['Bel-Air', 'Guadalupe Nuevo', 'Poblacion', 'San Antonio', 'San Lorenzo', 'Urdaneta'] },
+            { name: 'Mandaluyong City', zip: ['1550', '1556'], barangays: ['Addition Hills', 'Barangka Drive', 'Highway Hills', 'Plainview', 'Wack-Wack Greenhills'] },
+            { name: 'Pasig City', zip: ['1600', '1612'], barangays: ['Kapitolyo', 'Manggahan', 'Rosario', 'San Antonio', 'Ugong'] },
+            { name: 'Taguig City', zip: ['1630', '1639'], barangays: ['Fort Bonifacio', 'Lower Bicutan', 'Pinagsama', 'Ususan', 'Western Bicutan'] },
+            { name: 'Parañaque City', zip: ['1700', '1720'], barangays: ['Baclaran', 'BF Homes', 'San Antonio', 'Sun Valley', 'Tambo'] }
+        ] }
+    ] },
+    { name: 'Cordillera Administrative Region (CAR)', provinces: [
+        { name: 'Benguet', cities: [
+            { name: 'Baguio City', zip: ['2600', '2600'], barangays: ['Burnham-Legarda', 'Camp 7', 'Irisan', 'Loakan Proper', 'Session Road Area'] },
+            { name: 'La Trinidad', zip: ['2601', '2601'], barangays: ['Balili', 'Betag', 'Pico', 'Poblacion', 'Puguis'] }
+        ] }
+    ] },
+    { name: 'Central Luzon (Region III)', provinces: [
+        { name: 'Bulacan', cities: [
+            { name: 'City of Malolos', zip: ['3000', '3000'], barangays: ['Atlag', 'Bulihan', 'Longos', 'Santo Rosario', 'Sumapang Matanda'] },
+            { name: 'Meycauayan City', zip: ['3020', '3020'], barangays: ['Bancal', 'Calvario', 'Malhacan', 'Pajo', 'Saluysoy'] }
+        ] },
+        { name: 'Pampanga', cities: [
+            { name: 'City of San Fernando', zip: ['2000', '2000'], barangays: ['Del Pilar', 'Dolores', 'San Agustin', 'Sindalan', 'Telabastagan'] },
+            { name: 'Angeles City', zip: ['2009', '2009'], barangays: ['Balibago', 'Malabanias', 'Pampang', 'Pulung Maragul', 'Santo Rosario'] }
+        ] }
+    ] },
+    { name: 'CALABARZON (Region IV-A)', provinces: [
+        { name: 'Cavite', cities: [
+            { name: 'Bacoor City', zip: ['4102', '4102'], barangays: ['Habay I', 'Molino III', 'Niog I', 'Panapaan I', 'Talaba I'] },
+            { name: 'Imus City', zip: ['4103', '4103'], barangays: ['Anabu I-A', 'Bucandala I', 'Malagasang I-A', 'Poblacion I-A', 'Tanzang Luma I'] },
+            { name: 'Dasmariñas City', zip: ['4114', '4115'], barangays: ['Burol', 'Langkaan I', 'Paliparan I', 'Salitran I', 'Sampaloc I'] }
+        ] },
+        { name: 'Laguna', cities: [
+            { name: 'Calamba City', zip: ['4027', '4029'], barangays: ['Canlubang', 'Halang', 'Pansol', 'Parian', 'Real'] },
+            { name: 'Santa Rosa City', zip: ['4026', '4026'], barangays: ['Balibago', 'Dila', 'Market Area', 'Pooc', 'Tagapo'] }
+        ] },
+        { name: 'Batangas', cities: [
+            { name: 'Batangas City', zip: ['4200', '4200'], barangays: ['Alangilan', 'Balagtas', 'Kumintang Ibaba', 'Pallocan West', 'Poblacion'] },
+            { name: 'Lipa City', zip: ['4217', '4217'], barangays: ['Balintawak', 'Marawoy', 'Mataas na Lupa', 'Sabang', 'Tambo'] }
+        ] },
+        { name: 'Rizal', cities: [
+            { name: 'Antipolo City', zip: ['1870', '1870'], barangays: ['Cupang', 'Dela Paz', 'Mayamot', 'San Isidro', 'San Roque'] },
+            { name: 'Cainta', zip: ['1900', '1900'], barangays: ['San Andres', 'San Isidro', 'San Juan', 'Santa Rosa', 'Santo Domingo'] }
+        ] }
+    ] },
+    { name: 'Central Visayas (Region VII)', provinces: [
+        { name: 'Cebu', cities: [
+            { name: 'Cebu City', zip: ['6000', '6000'], barangays: ['Capitol Site', 'Guadalupe', 'Lahug', 'Mabolo', 'Talamban'] },
+            { name: 'Mandaue City', zip: ['6014', '6014'], barangays: ['Banilad', 'Centro', 'Looc', 'Subangdaku', 'Tipolo'] },
+            { name: 'Lapu-Lapu City', zip: ['6015', '6016'], barangays: ['Basak', 'Gun-ob', 'Mactan', 'Pajo', 'Poblacion'] }
+        ] },
+        { name: 'Bohol', cities: [
+            { name: 'Tagbilaran City', zip: ['6300', '6300'], barangays: ['Cogon', 'Dampas', 'Poblacion I', 'Taloto', 'Ubujan'] }
+        ] }
+    ] },
+    { name: 'Negros Island Region (NIR)', provinces: [
+        { name: 'Negros Occidental', cities: [
+            { name: 'Bacolod City', zip: ['6100', '6100'], barangays: ['Alijis', 'Bata', 'Mandalagan', 'Taculing', 'Villamonte'] }
+        ] }
+    ] },
+    { name: 'Northern Mindanao (Region X)', provinces: [
+        { name: 'Misamis Oriental', cities: [
+            { name: 'Cagayan de Oro City', zip: ['9000', '9000'], barangays: ['Carmen', 'Kauswagan', 'Lapasan', 'Macasandig', 'Nazareno'] }
+        ] }
+    ] },
+    { name: 'Davao Region (Region XI)', provinces: [
+        { name: 'Davao del Sur', cities: [
+            { name: 'Davao City', zip: ['8000', '8000'], barangays: ['Agdao', 'Bajada', 'Buhangin', 'Matina Crossing', 'Talomo'] }
+        ] }
+    ] }
+];
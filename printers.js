@@ -0,0 +1,39 @@
+/*
+ ==========================================
+  OFFISTATION PRINTER COMPATIBILITY DATA
+ ==========================================
+
+ Which of our ink, toner and paper SKUs fit which printer. Used by the
+ printer finder (`renderPrinterFinderPage()` in script.js, printers.html)
+ and the "Compatible printers" line on product pages. To sell a new
+ cartridge, add its SKU to the `consumables` of every model it fits;
+ promo listings of those SKUs (their `baseSku`) are matched automatically.
+
+ FIELDS:
+  - PRINTER_BRANDS: Array of brands { name, models }
+  - model: { id: unique lower-case id (used in printers.html?printer=<id>),
+             name, type: 'inkjet' | 'laser', consumables: [SKUs from products.js] }
+*/
+
+const PRINTER_BRANDS = [
+    { name: 'Canon', models: [
+        { id: 'canon-pixma-ip2770', name: 'PIXMA iP2770', type: 'inkjet', consumables: ['os05', 'os07'] },
+        { id: 'canon-pixma-mp237', name: 'PIXMA MP237', type: 'inkjet', consumables: ['os05', 'os07'] },
+        { id: 'canon-pixma-mp287', name: 'PIXMA MP287', type: 'inkjet', consumables: ['os05', 'os07'] },
+        { id: 'canon-pixma-mx366', name: 'PIXMA MX366', type: 'inkjet', consumables: ['os05', 'os07'] },
+        { id: 'canon-pixma-g3010', name: 'PIXMA G3010', type: 'inkjet', consumables: ['os07'] }
+    ] },
+    { name: 'Epson', models: [
+        { id: 'epson-ecotank-l3210', name: 'EcoTank L3210', type: 'inkjet', consumables: ['os07'] },
+        { id: 'epson-ecotank-l3250', name: 'EcoTank L3250', type: 'inkjet', consumables: ['os07'] }
+    ] },
+    { name: 'HP', models: [
+        { id: 'hp-laserjet-pro-m402n', name: 'LaserJet Pro M402n', type: 'laser', consumables: ['os06'] },
+        { id: 'hp-laserjet-pro-m402dn', name: 'LaserJet Pro M402dn', type: 'laser', consumables: ['os06'] },
+        { id: 'hp-laserjet-pro-mfp-m426fdw', name: 'LaserJet Pro MFP M426fdw', type: 'laser', consumables: ['os06'] },
+        { id: 'hp-deskjet-2336', name: 'DeskJet 2336', type: 'inkjet', consumables: ['os07'] }
+    ] },
+    { name: 'Brother', models: [
+        { id: 'brother-hl-l2321d', name: 'HL-L2321D', type: 'laser', consumables: [] }
+    ] }
+];
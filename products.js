@@ -0,0 +1,100 @@
+/*
+ ==========================================
+  OFFISTATION PRODUCT CATALOG
+ ==========================================
+
+ Single source of truth for every product sold on the site. The catalog and
+ promo pages no longer hard-code their product cards — `renderProductGrids()`
+ in script.js builds them from this list, and the cart looks prices and
+ images up here by SKU.
+
+ To add or reprice an item, edit its entry below; every page picks it up.
+
+ PRODUCT FIELDS:
+  - sku: Unique product code (also used as the cart item id)
+  - name: Display name
+  - category: One of PRODUCT_CATEGORIES ids
+  - price: Current selling price in PHP
+  - priceTiers: (optional) Quantity price breaks [{ minQty, price }]; `price` applies below the first one
+  - compareAtPrice: (promo only) Original price shown struck through
+  - badge: (promo only) Sale badge text, e.g. "-20%", "CLEARANCE"
+  - promo: true when the listing belongs on the promos page
+  - baseSku: (promo only) The regular catalog product this deal is for
+  - images: Image paths, first one is the card photo
+  - alt: Alt text for the card photo
+  - description: Short product description
+  - specs: (optional) Specifications shown on the product page { sheets, paperSize, paperWeight, size, pieces,
+    colours: [..], tip, ruling, finish, thickness, printerType, yield }; promo listings without their
+    own specs show those of their baseSku. Compatible printers are listed in printers.js
+  - stock: Units available
+  - weightKg: Shipping weight of one unit, used by the shipping rate engine
+  - vatExempt: (optional) true for items sold without 12% VAT; promo listings follow their baseSku.
+    No current item sets it: office supplies and stationery are VATable. It is there for exempt
+    goods such as books (NIRC Sec. 109) should the shop stock them
+  - subscribable: (optional) true for consumables customers can have delivered every few weeks
+  - pairsWith: (optional) SKUs that go with this one (staples for a stapler); suggested as "Frequently bought
+    together" until order history has enough pairs of its own
+*/
+
+const PRODUCT_CATEGORIES = [
+    { id: 'office-supplies', title: 'PURCHASE OFFICE SUPPLIES', label: 'Office Supplies' },
+    { id: 'stationaries', title: 'PURCHASE STATIONARIES', label: 'Stationaries' }
+];
+
+const PRODUCTS = [
+    // ===== OFFICE SUPPLIES =====
+    { sku: 'os01', name: 'Bond Paper A4 (500s)', category: 'office-supplies', price: 250.00, priceTiers: [{ minQty: 10, price: 238.00 }, { minQty: 50, price: 225.00 }], pairsWith: ['os08', 'os16'], images: ['picturebox/bondpaper A4.png'], alt: 'Bond Paper A4', description: '70gsm multi-purpose A4 bond paper, one ream of 500 sheets. Suitable for laser and inkjet printers.', specs: { paperSize: 'A4 (210 × 297 mm)', paperWeight: '70gsm', sheets: 500, colours: ['White'] }, stock: 200, weightKg: 2.5, subscribable: true },
+    { sku: 'os02', name: 'Bond Paper Letter (500s)', category: 'office-supplies', price: 240.00, priceTiers: [{ minQty: 10, price: 228.00 }, { minQty: 50, price: 216.00 }], pairsWith: ['os08', 'os16'], images: ['picturebox/Bond Paper Letter (500s).png'], alt: 'Bond Paper Letter', description: '70gsm multi-purpose letter-size bond paper, one ream of 500 sheets.', specs: { paperSize: 'Letter (8.5 × 11 in)', paperWeight: '70gsm', sheets: 500, colours: ['White'] }, stock: 180, weightKg: 2.3, subscribable: true },
+    { sku: 'os03', name: 'Stapler', category: 'office-supplies', price: 120.00, pairsWith: ['os04', 'os09'], images: ['picturebox/stapler.jpg'], alt: 'Stapler', description: 'Full-strip desktop stapler that binds up to 20 sheets. Uses standard No. 35 staples.', stock: 60, weightKg: 0.4 },
+    { sku: 'os04', name: 'Box of Staples', category: 'office-supplies', price: 45.00, priceTiers: [{ minQty: 10, price: 42.00 }, { minQty: 50, price: 39.00 }], pairsWith: ['os03'], images: ['picturebox/staple.png'], alt: 'Box of Staples', description: 'Box of 5,000 No. 35 standard staples.', specs: { size: 'No. 35 (26/6)', pieces: 5000 }, stock: 300, weightKg: 0.3 },
+    { sku: 'os05', name: 'Ink Cartridge Black', category: 'office-supplies', price: 750.00, pairsWith: ['os07', 'os01'], images: ['picturebox/ink.png', 'picturebox/cartridge.png'], alt: 'Ink Cartridge Black', description: 'Black pigment ink cartridge for everyday document printing.', specs: { colours: ['Black'], yield: 'About 220 pages' }, stock: 40, weightKg: 0.15, subscribable: true },
+    { sku: 'os06', name: 'Laser Toner Cartridge', category: 'office-supplies', price: 1800.00, pairsWith: ['os01', 'os02'], images: ['picturebox/laser toner cartridge.png', 'picturebox/blazertoner.png'], alt: 'Toner Black', description: 'High-yield black laser toner cartridge for monochrome laser printers.', specs: { colours: ['Black'], yield: 'About 9,000 pages' }, stock: 25, weightKg: 1.2, subscribable: true },
+    { sku: 'os07', name: 'Photo Paper Glossy (50s)', category: 'office-supplies', price: 320.00, pairsWith: ['os05'], images: ['picturebox/photopaper glossy.png'], alt: 'Photo Paper Glossy', description: '180gsm glossy A4 photo paper for inkjet printers, 50 sheets.', specs: { paperSize: 'A4', paperWeight: '180gsm', sheets: 50, finish: 'Glossy', printerType: 'Inkjet' }, stock: 70, weightKg: 0.6 },
+    { sku: 'os08', name: 'Binder Clips Assorted', category: 'office-supplies', price: 65.00, images: ['picturebox/binder clips asorted.png'], alt: 'Binder Clips', description: 'Assorted sizes of black binder clips, 24 pieces.', stock: 150, weightKg: 0.25 },
+    { sku: 'os09', name: 'Paper Clips Box', category: 'office-supplies', price: 25.00, images: ['picturebox/paperclips box.png'], alt: 'Paper Clips', description: 'Box of 100 standard 33mm paper clips.', stock: 250, weightKg: 0.1 },
+    { sku: 'os10', name: 'Laminating Film (100s)', category: 'office-supplies', price: 450.00, pairsWith: ['os17'], images: ['picturebox/laminating film.png'], alt: 'Laminating Film', description: 'A4 125-micron laminating pouches, pack of 100.', specs: { paperSize: 'A4', thickness: '125 micron', pieces: 100 }, stock: 45, weightKg: 1.5 },
+    { sku: 'os11', name: 'Tape Dispenser Desk', category: 'office-supplies', price: 150.00, pairsWith: ['os12'], images: ['picturebox/tape dispenser desk.png'], alt: 'Tape Dispenser', description: 'Weighted desktop tape dispenser for 1-inch core tapes.', stock: 55, weightKg: 0.8 },
+    { sku: 'os12', name: 'Heavy-Duty Scissors', category: 'office-supplies', price: 180.00, pairsWith: ['os11', 'os13'], images: ['picturebox/hd scissor.png'], alt: 'Large Scissors', description: '8-inch stainless steel scissors with soft-grip handles.', stock: 65, weightKg: 0.2 },
+    { sku: 'os13', name: 'Plastic Ruler 12"', category: 'office-supplies', price: 40.00, pairsWith: ['os12'], images: ['picturebox/plastic ruler.png'], alt: 'Ruler 12 inch', description: 'Clear 12-inch (30cm) plastic ruler with inch and metric markings.', stock: 200, weightKg: 0.05 },
+    { sku: 'os14', name: 'Mesh Pencil Holder', category: 'office-supplies', price: 99.00, images: ['picturebox/mesh pensil holder.png'], alt: 'Pencil Holder', description: 'Black metal mesh pen and pencil cup.', stock: 80, weightKg: 0.3 },
+    { sku: 'os15', name: 'Storage Box Files (3pcs)', category: 'office-supplies', price: 350.00, pairsWith: ['os16'], images: ['picturebox/storage box.png', 'picturebox/storagebox.png', 'picturebox/storagebox1.png'], alt: 'Box Files', description: 'Set of 3 long-size storage box files with lids.', stock: 35, weightKg: 2.4 },
+    { sku: 'os16', name: 'Lever Arch File Legal', category: 'office-supplies', price: 130.00, pairsWith: ['os15', 'os08'], images: ['picturebox/lever arch.png'], alt: 'Lever Arch File', description: 'Legal-size lever arch file with a 3-inch spine.', stock: 90, weightKg: 0.7 },
+    { sku: 'os17', name: 'Plastic Envelopes A4', category: 'office-supplies', price: 55.00, images: ['picturebox/plastic envelope A4.png'], alt: 'Plastic Envelopes', description: 'Clear A4 plastic envelopes with button closure, pack of 10.', specs: { paperSize: 'A4', pieces: 10, colours: ['Clear'] }, stock: 140, weightKg: 0.3 },
+    { sku: 'os18', name: 'Assorted Push Pins', category: 'office-supplies', price: 30.00, images: ['picturebox/assorted push pin.png'], alt: 'Push Pins', description: 'Box of 100 assorted-colour push pins.', stock: 220, weightKg: 0.1 },
+    { sku: 'os19', name: 'Whiteboard Markers (4pcs)', category: 'office-supplies', price: 175.00, pairsWith: ['os18', 'st06'], images: ['picturebox/white board markers.png'], alt: 'Whiteboard Marker', description: 'Dry-erase whiteboard markers in black, blue, red and green.', specs: { pieces: 4, colours: ['Black', 'Blue', 'Red', 'Green'], tip: 'Bullet' }, stock: 100, weightKg: 0.1 },
+    { sku: 'os20', name: 'Correction Tape Refillable', category: 'office-supplies', price: 50.00, images: ['picturebox/correction tape.png'], alt: 'Correction Tape', description: 'Refillable 5mm x 8m correction tape.', stock: 160, weightKg: 0.05 },
+
+    // ===== STATIONARIES =====
+    { sku: 'st01', name: 'Spiral Notebook A5', category: 'stationaries', price: 85.00, pairsWith: ['st03', 'st05'], images: ['picturebox/spiral notebook.jpg'], alt: 'Spiral Notebook A5', description: 'A5 spiral-bound ruled notebook, 80 leaves.', specs: { paperSize: 'A5', sheets: 80, ruling: 'Ruled' }, stock: 150, weightKg: 0.25 },
+    { sku: 'st02', name: 'Composition Notebook', category: 'stationaries', price: 50.00, pairsWith: ['st03'], images: ['picturebox/compisition notebook.jpg'], alt: 'Composition Notebook', description: 'Sewn-bound composition notebook, 100 leaves.', specs: { sheets: 100, ruling: 'Wide ruled' }, stock: 170, weightKg: 0.35 },
+    { sku: 'st03', name: 'Ballpoint Pen Set (12pcs)', category: 'stationaries', price: 75.00, priceTiers: [{ minQty: 10, price: 70.00 }, { minQty: 50, price: 65.00 }], pairsWith: ['st01', 'st02'], images: ['picturebox/ball point pen set.jpg', 'picturebox/ballpen.png'], alt: 'Ballpoint Pen Set', description: 'Box of 12 medium-point ballpoint pens in blue ink.', specs: { pieces: 12, colours: ['Blue'], tip: '1.0 mm medium' }, stock: 240, weightKg: 0.15 },
+    { sku: 'st04', name: 'Gel Pen Set (10 colors)', category: 'stationaries', price: 180.00, pairsWith: ['st01'], images: ['picturebox/gel pen set.png'], alt: 'Gel Pen Set', description: '0.5mm gel pens in 10 assorted colours.', specs: { pieces: 10, colours: ['10 assorted'], tip: '0.5 mm' }, stock: 90, weightKg: 0.12 },
+    { sku: 'st05', name: 'Highlighter Set (6 colors)', category: 'stationaries', price: 99.00, pairsWith: ['st06', 'st07'], images: ['picturebox/highlighter set.png'], alt: 'Highlighter Set', description: 'Chisel-tip highlighters in 6 fluorescent colours.', specs: { pieces: 6, colours: ['Yellow', 'Green', 'Pink', 'Orange', 'Blue', 'Purple'], tip: 'Chisel' }, stock: 120, weightKg: 0.1 },
+    { sku: 'st06', name: 'Jumbo Sticky Notes 4x6', category: 'stationaries', price: 120.00, images: ['picturebox/sticky notes.jpg'], alt: 'Jumbo Sticky Notes', description: '4x6-inch lined sticky notes, 3 pads of 100 sheets.', specs: { size: '4 × 6 in', sheets: 300, ruling: 'Lined' }, stock: 110, weightKg: 0.3 },
+    { sku: 'st07', name: 'Colored Sticky Notes', category: 'stationaries', price: 45.00, images: ['picturebox/sticky notes.jpg'], alt: 'Colored Sticky Notes', description: '3x3-inch sticky notes in assorted neon colours, 400 sheets.', specs: { size: '3 × 3 in', sheets: 400, colours: ['Assorted neon'] }, stock: 200, weightKg: 0.2 },
+    { sku: 'st08', name: 'Business Envelopes (50s)', category: 'stationaries', price: 110.00, pairsWith: ['st09'], images: ['picturebox/envelopes assorted.png'], alt: 'Business Envelopes', description: 'No. 10 white business envelopes, pack of 50.', specs: { size: 'No. 10 (4.125 × 9.5 in)', pieces: 50, colours: ['White'] }, stock: 130, weightKg: 0.6 },
+    { sku: 'st09', name: 'Bubble Mailers Small', category: 'stationaries', price: 25.00, images: ['picturebox/bubble mailer set.jpg'], alt: 'Bubble Mailers Small', description: 'Small self-seal padded bubble mailer.', stock: 300, weightKg: 0.03 },
+    { sku: 'st10', name: 'Drawing Pencils Set', category: 'stationaries', price: 200.00, pairsWith: ['st17', 'st18'], images: ['picturebox/drawing pensils set.jpg'], alt: 'Drawing Pencils', description: 'Graphite sketching pencils from 6H to 8B, set of 12.', stock: 60, weightKg: 0.15 },
+    { sku: 'st11', name: 'Crayons (16 colors)', category: 'stationaries', price: 40.00, images: ['picturebox/crayon 16 colors.jpg'], alt: 'Crayons', description: 'Non-toxic wax crayons, 16 colours.', stock: 180, weightKg: 0.12 },
+    { sku: 'st12', name: 'Colored Markers (24pcs)', category: 'stationaries', price: 250.00, pairsWith: ['st11'], images: ['picturebox/colored markers 24 pcs.jpg'], alt: 'Colored Markers', description: 'Water-based fibre-tip markers, 24 colours.', specs: { pieces: 24, colours: ['24 assorted'] }, stock: 75, weightKg: 0.3 },
+    { sku: 'st13', name: 'All-Purpose Glue Stick', category: 'stationaries', price: 35.00, pairsWith: ['os12'], images: ['picturebox/all purpose glue.jpg'], alt: 'Glue Stick', description: '21g washable all-purpose glue stick.', stock: 260, weightKg: 0.03 },
+    { sku: 'st14', name: 'Liquid Glue Bottle', category: 'stationaries', price: 60.00, images: ['picturebox/glue.jpg', 'picturebox/glue1.jpg'], alt: 'Liquid Glue', description: '130g clear liquid glue with applicator tip.', stock: 140, weightKg: 0.15 },
+    { sku: 'st15', name: 'Washi Tape Set (5 rolls)', category: 'stationaries', price: 150.00, images: ['picturebox/washi tape.jpg'], alt: 'Washi Tapes', description: 'Decorative washi tape, 5 patterned rolls.', stock: 85, weightKg: 0.1 },
+    { sku: 'st16', name: 'Academic Planner 2026', category: 'stationaries', price: 400.00, images: ['picturebox/planner.png'], alt: 'Planner', description: 'Dated weekly and monthly planner for the 2026 academic year.', stock: 50, weightKg: 0.7 },
+    { sku: 'st17', name: 'Large Rubber Eraser', category: 'stationaries', price: 20.00, pairsWith: ['st10'], images: ['picturebox/large rubber eraser.jpg'], alt: 'Eraser', description: 'Large dust-free vinyl eraser.', stock: 300, weightKg: 0.03 },
+    { sku: 'st18', name: 'Pencil Sharpener Metal', category: 'stationaries', price: 45.00, pairsWith: ['st10'], images: ['picturebox/pencil sparpner.png'], alt: 'Sharpener', description: 'Single-hole die-cast metal pencil sharpener.', stock: 190, weightKg: 0.05 },
+    { sku: 'st19', name: 'Pocket Memo Pad', category: 'stationaries', price: 30.00, images: ['picturebox/pocket memo pad.jpg'], alt: 'Memo Pad', description: 'Pocket-size top-spiral memo pad, 60 leaves.', specs: { sheets: 60 }, stock: 210, weightKg: 0.05 },
+    { sku: 'st20', name: 'Scientific Calculator', category: 'stationaries', price: 650.00, images: ['picturebox/sci calcu.png'], alt: 'Scientific Calculator', description: '240-function scientific calculator with two-line display.', stock: 40, weightKg: 0.15 },
+
+    // ===== PROMO LISTINGS (promos.html) =====
+    { sku: 'promo03', baseSku: 'os05', promo: true, badge: '-20%', name: 'Ink Cartridge Black', category: 'office-supplies', price: 600.00, compareAtPrice: 750.00, images: ['picturebox/ink.png'], alt: 'Ink Cartridge Black', description: 'Black pigment ink cartridge for everyday document printing.', stock: 20, weightKg: 0.15 },
+    { sku: 'promo04', baseSku: 'st16', promo: true, badge: 'CLEARANCE', name: '2026 Planner (Clearance)', category: 'stationaries', price: 100.00, compareAtPrice: 400.00, images: ['picturebox/planner.png'], alt: '2026 Planner', description: 'Dated weekly and monthly planner for 2026. Last 5 pieces.', stock: 5, weightKg: 0.7 },
+    { sku: 'promo05', baseSku: 'st03', promo: true, badge: 'BUY 1 TAKE 1', name: 'Ballpoint Pen Set (12pcs)', category: 'stationaries', price: 50.00, compareAtPrice: 75.00, images: ['picturebox/ball point pen set.jpg'], alt: 'Ballpoint Pen Set', description: 'Box of 12 medium-point ballpoint pens in blue ink.', stock: 60, weightKg: 0.15 },
+    { sku: 'promo06', baseSku: 'st05', promo: true, badge: '-25%', name: 'Highlighter Set (6 colors)', category: 'stationaries', price: 75.00, compareAtPrice: 99.00, images: ['picturebox/highlighter set.png'], alt: 'Highlighter Set', description: 'Chisel-tip highlighters in 6 fluorescent colours.', stock: 40, weightKg: 0.1 },
+    { sku: 'promo07', baseSku: 'os11', promo: true, badge: 'SALE', name: 'Tape Dispenser Desk', category: 'office-supplies', price: 99.00, compareAtPrice: 150.00, images: ['picturebox/tape dispenser desk.png'], alt: 'Tape Dispenser', description: 'Weighted desktop tape dispenser for 1-inch core tapes.', stock: 30, weightKg: 0.8 },
+    { sku: 'promo08', baseSku: 'os01', promo: true, badge: 'BULK SAVE', name: 'Bond Paper A4 (5 Reams Box)', category: 'office-supplies', price: 500.00, compareAtPrice: 1250.00, images: ['picturebox/bondpaper A4.png'], alt: 'Bond Paper Box', description: 'Box of 5 reams of 70gsm A4 bond paper, 2,500 sheets in total.', specs: { paperSize: 'A4 (210 × 297 mm)', paperWeight: '70gsm', sheets: 2500, colours: ['White'] }, stock: 25, weightKg: 12.5 },
+    { sku: 'promo09', baseSku: 'os14', promo: true, badge: 'SALE', name: 'Mesh Pencil Holder', category: 'office-supplies', price: 120.00, compareAtPrice: 150.00, images: ['picturebox/mesh pensil holder.png'], alt: 'Mesh Pencil Holder', description: 'Black metal mesh pen and pencil cup.', stock: 30, weightKg: 0.3 },
+    { sku: 'promo10', baseSku: 'os19', promo: true, badge: 'HOT', name: 'Whiteboard Markers (4pcs)', category: 'office-supplies', price: 175.00, compareAtPrice: 220.00, images: ['picturebox/white board markers.png'], alt: 'Whiteboard Markers', description: 'Dry-erase whiteboard markers in black, blue, red and green.', stock: 50, weightKg: 0.1 },
+    { sku: 'promo11', baseSku: 'os03', promo: true, badge: 'SALE', name: 'Stapler', category: 'office-supplies', price: 130.00, compareAtPrice: 180.00, images: ['picturebox/stapler.jpg'], alt: 'Stapler', description: 'Full-strip desktop stapler that binds up to 20 sheets.', stock: 30, weightKg: 0.4 },
+    { sku: 'promo12', baseSku: 'os10', promo: true, badge: 'CLEARANCE', name: 'Laminating Film (100s)', category: 'office-supplies', price: 450.00, compareAtPrice: 600.00, images: ['picturebox/laminating film.png'], alt: 'Laminating Film', description: 'A4 125-micron laminating pouches, pack of 100.', stock: 15, weightKg: 1.5 }
+];
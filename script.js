@@ -5,60 +5,164 @@
 
  OVERVIEW:
  This file is the "brain" of the OffiStation e-commerce site. It handles:
-  • Shopping cart persistence using browser localStorage
-  • User authentication state management
+  • Shopping cart persistence using browser localStorage (versioned, synced across tabs)
+  • Local user accounts (hashed passwords, login lockout) and auth state
+  • Business accounts: company profile with TIN and authorised buyers, PO numbers and cost centres at checkout
+  • Rendering product grids from the catalog data in products.js
+  • Product detail pages (product.html?id=<sku>) with gallery, specifications and related items
+  • Ratings and reviews from verified buyers, with helpful votes and a "Top rated" catalog sort
+  • Printer finder: ink, toner and paper per printer model (printers.js), saved "my office printers"
+  • "Frequently bought together" suggestions from order history, and a "Recently viewed" catalog strip
   • Catalog product interactions (Add to Cart functionality)
+  • Catalog search and category/price/promo filters
+  • Payments through pluggable providers (COD, card, GCash/Maya) and an offline mock gateway
+  • Stock levels per SKU, enforced in the cart and decremented by orders
   • Cart page rendering and checkout calculations
-  • Voucher/discount system (OFFI2025, BULK10)
+  • Quantity price breaks (bulk tiers) shown on product cards and applied to cart lines
+  • 12% VAT breakdown (VAT-inclusive or -exclusive prices, VAT-exempt items, business view)
+  • Checkout validation: PH phone formats, email syntax, region/province/city/barangay pickers, postal codes
+  • Shipping rates by delivery zone and parcel weight, with free-shipping rules
+  • Order history ("My Orders" page) with reorder
+  • Saved cart templates ("Monthly restock") to load into the cart by replacing or merging
+  • Replenishment subscriptions (every 2/4/8 weeks) that place orders when due, with a subscriber discount
+  • CSV import of SKU/quantity lists into the cart, CSV export of the cart and past orders
+  • Quick-order pad: many SKUs and quantities at once, with catalog suggestions and a running subtotal
+  • Printable sales invoices with a VAT breakdown, downloadable as a PDF built in the browser
+  • Per-account wishlist (heart on product cards, "Save for later" in the cart)
+  • Promotion engine: vouchers, automatic deals, scopes, dates, usage limits, stacking
   • Header scroll animations (shrink-on-scroll effect)
   • Mobile navigation toggle (hamburger menu)
   • Toast notifications for user feedback
+  • Admin back-office (admin.html, admin role): products, prices and stock, vouchers, order statuses
 
  DATA STORAGE:
-  - cartItems: Array of { id, name, price, image, quantity }
-  - os_current_user: Boolean flag indicating login state
-  - os_active_voucher: Active voucher code string
+  - cartItems: Guest cart { version, items: [{ id, name, price, image, quantity }], updatedAt }
+  - os_cart:<username>: Cart of a signed-in account (same shape); guest items merge in at sign-in
+  - os_users: Registered accounts { username, email, fullName, authMethod, role, salt, passwordHash, iterations, failedAttempts, lockedUntil, business }
+  - os_current_user: Username of the signed-in account
+  - os_active_voucher / os_active_voucher:<username>: Active voucher code (guest / per account)
+  - os_promo_usage: Promotion redemption counts { [promoId]: { total, users } }
+  - os_shipping_destination: City/province last entered, used to price shipping
+  - os_business_customer: '1' when the shopper wants the business VAT breakdown (VATable sales shown separately)
+  - os_stock: Remaining units per SKU once orders have been placed { [sku]: units }
+  - os_wishlist:<username>: Saved-for-later products [{ sku, addedAt }]
+  - os_subscriptions:<username>: Replenishment subscriptions [{ id, sku, quantity, intervalWeeks, status, nextDate, lastOrderNumber }]
+  - os_my_printers:<username>: Printers saved in the printer finder [{ id, addedAt }]
+  - os_cart_templates:<username>: Named saved carts [{ id, name, items: [{ sku, name, price, quantity }], createdAt, updatedAt }]
+  - os_recently_viewed / os_recently_viewed:<username>: Product pages last opened [sku, ...] newest first
+  - os_reviews: Product reviews [{ id, sku, username, displayName, rating, text, createdAt, updatedAt, votes }]
+  - os_product_overrides: Back-office product edits and additions { [sku]: { ...fields, deleted, updatedAt } }
+  - os_promotions: Vouchers created or expired in the back office { [id]: rule }
+  - os_orders: Placed orders { orderNumber, username, createdAt, status, statusHistory, items, totals, voucher, payment, business, subscription, customer }
   - os_toc_agreed: Boolean flag for Terms & Conditions acceptance
 
  KEY FUNCTIONS:
-  ✓ Cart: getCartItems(), saveCart(), addItemToCart()
+  ✓ Cart: getCartItems(), saveCart(), addItemToCart(), mergeGuestCart() - per-account carts
+  ✓ Cart store: readCart(), writeCart() - schema versions (CART_MIGRATIONS), corrupt-data recovery,
+    in-memory fallback; handleCartStorageEvent() keeps other open tabs in sync
+  ✓ Accounts: registerAccount(), verifyLogin(), getCurrentAccount() - salted PBKDF2 hashes, lockout
+  ✓ Business: saveBusinessProfile(), normalizeTin(), getBusinessOrderDetails() - business.html, PO / cost centre
   ✓ Auth: isLoggedIn(), showAuthPrompt(), doLogout()
+  ✓ Products: getProductBySku(), renderProductGrids() - reads PRODUCTS from products.js
+  ✓ Product page: renderProductDetailPage(), getProductSpecs(), getRelatedProducts() - product.html?id=os05
+  ✓ Reviews: submitReview(), voteReview(), getRatingSummary(), renderProductReviews() - buyers only
+  ✓ Recommendations: getFrequentlyBoughtTogether(), getCoPurchaseCounts(), recordProductView() - pairsWith fallback
+  ✓ Printers: renderPrinterFinderPage(), getPrinterConsumables(), getCompatiblePrinters() - PRINTER_BRANDS in printers.js
   ✓ Catalog: setupCatalog() - attaches event listeners to Add to Cart buttons
+  ✓ Search: filterProducts(), setupCatalogFilters() - typo-tolerant search and filters
+  ✓ Bulk pricing: getPriceTiers(), getUnitPrice(), priceCartItems() - per-SKU quantity price breaks
+  ✓ Inventory: getStock(), enforceCartStock(), decrementStock() - stock caps and "Only N left"
+  ✓ Checkout: validateCheckoutField(), normalizePhPhone(), setupAddressPickers() - PH address data in ph-addresses.js
+  ✓ Payments: processPayment(), registerPaymentProvider() - COD, card (Luhn/expiry/CVV), e-wallet; MockPaymentGateway
+  ✓ Shipping: calculateShipping(), findShippingZone() - zone/weight rates (SHIPPING_ZONES)
+  ✓ Orders: createOrder(), getOrdersForUser(), reorderItems(), renderOrdersPage()
+  ✓ Subscriptions: subscribeToProduct(), processDueSubscriptions(), getUpcomingSubscriptionOrders() - subscriptions.html
+  ✓ Saved carts: saveCartTemplate(), loadCartTemplate(), renderCartTemplates() - replace or merge, price re-check
+  ✓ Quick order: renderQuickOrderPage(), findQuickOrderProduct(), addQuickOrderToCart() - quick-order.html
+  ✓ CSV: importCartCsv(), exportCartCsv(), exportOrderCsv() - parseCsv()/toCsv() helpers
+  ✓ Invoices: buildInvoice(), renderInvoicePage(), createInvoicePdf() - invoice.html?order=OS123456
+  ✓ Wishlist: toggleWishlist(), saveForLater(), moveWishlistItemToCart(), renderWishlistPage()
   ✓ Display: renderCart(), updateCartCount(), calculateCartTotals()
-  ✓ Vouchers: getVoucherByCode(), calculateVoucherDiscount()
+  ✓ VAT: calculateVat(), renderVatLines() - VAT_RATE, PRICES_INCLUDE_VAT, vatExempt products
+  ✓ Promotions: applyPromotions(), validateVoucherCode() - rule-based deals and vouchers (getPromotions())
+  ✓ Admin: renderAdminPage(), saveAdminProduct(), createAdminVoucher(), updateOrderStatus() - admin.html, isAdmin(), setAccountRole()
 */
 
 // ================= CART & STORAGE HELPERS =================
 const SHIPPING_FEE = 150.00;
 
-// Predefined voucher codes with rules (for demo/testing)
-const VOUCHERS = {
-    'OFFI2025': { code: 'OFFI2025', type: 'amount', amount: 100.00, minSpend: 500.00, description: '₱100 OFF min. spend ₱500' },
-    'BULK10': { code: 'BULK10', type: 'percent', percent: 10, minSpend: 2000.00, description: '10% OFF orders above ₱2,000' }
-};
+// ===== PROMOTION RULES =====
+// Every discount on the site is a rule in this list. Rules with a `code` are vouchers
+// the customer types in; rules marked `automatic` apply on their own when eligible.
+//
+// Rule fields:
+//  - id: Unique rule id (used for usage counting)
+//  - code: Voucher code to type in (omit for automatic promotions)
+//  - automatic: true to apply without a code
+//  - subscriptionOnly: true to apply only to subscription deliveries (see SUBSCRIPTIONS)
+//  - type: 'amount' (fixed ₱ off), 'percent' (% off), 'buy_x_get_y' or 'free_shipping'
+//  - amount / percent: Discount size for 'amount' / 'percent'
+//  - buyQty / getQty / getPercent: For 'buy_x_get_y' — buy N, get M at getPercent% off (default 100 = free)
+//  - skus / categories: Limit the rule to these SKUs or category ids (omit for the whole cart)
+//  - minSpend: Minimum spend on the eligible items
+//  - startsAt / endsAt: ISO dates the rule is valid between (inclusive)
+//  - usageLimit: Max redemptions across all customers
+//  - perUserLimit: Max redemptions per signed-in customer
+//  - stackable: true if it can combine with other promotions. Only the single best
+//    non-stackable promotion applies; every eligible stackable one applies on top of it.
+const PROMOTIONS = [
+    { id: 'OFFI2025', code: 'OFFI2025', type: 'amount', amount: 100.00, minSpend: 500.00, stackable: true, perUserLimit: 3, description: '₱100 OFF min. spend ₱500' },
+    { id: 'BULK10', code: 'BULK10', type: 'percent', percent: 10, minSpend: 2000.00, stackable: false, description: '10% OFF orders above ₱2,000' },
+    { id: 'STATIONERY50', code: 'STATIONERY50', type: 'amount', amount: 50.00, categories: ['stationaries'], minSpend: 300.00, startsAt: '2026-01-01', endsAt: '2026-12-31', usageLimit: 500, perUserLimit: 1, stackable: true, description: '₱50 OFF stationaries min. spend ₱300' },
+    { id: 'FREESHIP500', code: 'FREESHIP500', type: 'free_shipping', minSpend: 500.00, perUserLimit: 2, stackable: true, description: 'Free shipping min. spend ₱500' },
+    { id: 'PEN-B1T1', automatic: true, type: 'buy_x_get_y', buyQty: 1, getQty: 1, skus: ['promo05'], stackable: true, description: 'Ballpoint Pen Set: Buy 1 Take 1' },
+    { id: 'SUBSCRIBE5', automatic: true, subscriptionOnly: true, type: 'percent', percent: 5, stackable: true, description: 'Subscribe & save 5%' }
+];
+
+// Vouchers created or expired in the back office (admin.html), kept under `os_promotions`
+// as { [id]: rule }. A stored rule with the id of one above replaces it.
+function getStoredPromotions() {
+    try { return JSON.parse(localStorage.getItem('os_promotions')) || {}; } catch (e) { return {}; }
+}
+
+function saveStoredPromotions(rules) {
+    try { localStorage.setItem('os_promotions', JSON.stringify(rules || {})); } catch (e) {}
+}
+
+// Every rule in effect: PROMOTIONS with the back-office changes applied, then the added vouchers
+function getPromotions() {
+    const stored = getStoredPromotions();
+    const added = Object.keys(stored).filter(id => !PROMOTIONS.some(p => p.id === id)).map(id => stored[id]);
+    return [...PROMOTIONS.map(p => stored[p.id] || p), ...added];
+}
 
 // ===== VOUCHER CODE MANAGEMENT =====
+// Like the cart, the active voucher is kept per account (guests use the plain key)
+function getVoucherStorageKey(username = getCurrentUsername()) {
+    return username ? 'os_active_voucher:' + username : 'os_active_voucher';
+}
+
 // Retrieve the currently active voucher code from localStorage
 function getActiveVoucherCode() {
-    try { return localStorage.getItem('os_active_voucher') || null; } catch (e) { return null; }
+    try { return localStorage.getItem(getVoucherStorageKey()) || null; } catch (e) { return null; }
 }
 
 // Store a new voucher code as active
 function setActiveVoucherCode(code) {
-    try { if (code) localStorage.setItem('os_active_voucher', code); else localStorage.removeItem('os_active_voucher'); } catch (e) {}
+    try { if (code) localStorage.setItem(getVoucherStorageKey(), code); else localStorage.removeItem(getVoucherStorageKey()); } catch (e) {}
 }
 
 // Remove the active voucher and show feedback
 function clearActiveVoucher() {
-    try { localStorage.removeItem('os_active_voucher'); } catch (e) {}
+    setActiveVoucherCode(null);
     showToast('Voucher removed');
 }
 
-// Retrieve voucher object by code, with case-insensitive lookup
+// Retrieve voucher (code-based promotion) by code, with case-insensitive lookup
 function getVoucherByCode(code) {
     if (!code) return null;
     const up = String(code).trim().toUpperCase();
-    return VOUCHERS[up] || null;
+    return getPromotions().find(p => p.code && p.code.toUpperCase() === up) || null;
 }
 
 // Format numbers as Philippine Peso currency (used by cart/checkout)
@@ -69,33 +173,309 @@ function formatPrice(price) {
     } catch (e) { return `₱ ${Number(price || 0).toFixed(2)}`; }
 }
 
-// Calculate discount amount based on active voucher and cart items
-// Returns 0 if no voucher applied or minimum spend not met
-function calculateVoucherDiscount(cart, code) {
-    const voucher = getVoucherByCode(code);
-    if (!voucher) return 0;
-    const subtotal = cart.reduce((s, it) => s + it.price * it.quantity, 0);
-    if (subtotal <= 0) return 0;
-    if (voucher.minSpend && subtotal < voucher.minSpend) return 0; // min spend not met
-    if (voucher.type === 'amount') return Math.min(voucher.amount, subtotal); // fixed discount
-    if (voucher.type === 'percent') return +(subtotal * (voucher.percent / 100)); // percentage discount
+// ===== PROMOTION ENGINE =====
+// Username of the signed-in customer (null for guests), used for per-user limits
+function getCurrentUsername() {
+    const account = getCurrentAccount();
+    return account ? account.username : null;
+}
+
+// Redemption counts: { [promoId]: { total, users: { [username]: count } } }
+function getPromotionUsage() {
+    try { return JSON.parse(localStorage.getItem('os_promo_usage')) || {}; } catch (e) { return {}; }
+}
+
+// Count one redemption of each applied discount (called when an order is placed)
+function recordPromotionUsage(discounts, username) {
+    const usage = getPromotionUsage();
+    (discounts || []).forEach(d => {
+        const entry = usage[d.id] || { total: 0, users: {} };
+        entry.total += 1;
+        if (username) entry.users[username] = (entry.users[username] || 0) + 1;
+        usage[d.id] = entry;
+    });
+    try { localStorage.setItem('os_promo_usage', JSON.stringify(usage)); } catch (e) {}
+}
+
+// Cart lines a rule applies to (all lines when the rule has no SKU/category scope)
+function getPromotionLines(promo, cart) {
+    if (!promo.skus && !promo.categories) return cart;
+    return cart.filter(item => {
+        if (promo.skus && promo.skus.includes(item.id)) return true;
+        const product = getProductBySku(item.id);
+        return !!(promo.categories && product && promo.categories.includes(product.category));
+    });
+}
+
+// Check dates, usage limits and minimum spend.
+// Returns null when the rule is usable, otherwise a customer-facing reason.
+function getPromotionIneligibility(promo, cart, { username = getCurrentUsername(), now = new Date() } = {}) {
+    if (promo.startsAt && now < new Date(promo.startsAt + 'T00:00:00')) return 'This voucher is not active yet';
+    if (promo.endsAt && now > new Date(promo.endsAt + 'T23:59:59')) return 'This voucher has expired';
+    const usage = getPromotionUsage()[promo.id] || { total: 0, users: {} };
+    if (promo.usageLimit && usage.total >= promo.usageLimit) return 'This voucher has been fully redeemed';
+    if (promo.perUserLimit) {
+        if (!username) return 'Sign in to use this voucher';
+        if ((usage.users[username] || 0) >= promo.perUserLimit) return 'You have already used this voucher the maximum number of times';
+    }
+    const lines = getPromotionLines(promo, cart);
+    if (lines.length === 0) return 'No eligible items in your cart';
+    const eligibleSubtotal = lines.reduce((s, it) => s + it.price * it.quantity, 0);
+    if (promo.minSpend && eligibleSubtotal < promo.minSpend) return `Minimum spend of ${formatPrice(promo.minSpend)} not met`;
+    return null;
+}
+
+// Discount a single rule gives on its eligible lines (0 if it does not apply)
+function calculatePromotionDiscount(promo, lines) {
+    const eligibleSubtotal = lines.reduce((s, it) => s + it.price * it.quantity, 0);
+    if (eligibleSubtotal <= 0) return 0;
+    if (promo.type === 'amount') return Math.min(promo.amount, eligibleSubtotal);
+    if (promo.type === 'percent') return eligibleSubtotal * (promo.percent / 100);
+    if (promo.type === 'buy_x_get_y') {
+        // every (buyQty + getQty) units of the same SKU, getQty of them are discounted
+        const groupSize = promo.buyQty + promo.getQty;
+        const pct = (promo.getPercent === undefined ? 100 : promo.getPercent) / 100;
+        return lines.reduce((s, it) => s + Math.floor(it.quantity / groupSize) * promo.getQty * it.price * pct, 0);
+    }
     return 0;
 }
 
+// Work out every discount for a cart: automatic promotions plus the entered code.
+// options.subscription also brings in the subscriber-only rules.
+// Returns an itemised list [{ id, code, description, amount }] in the order applied.
+function applyPromotions(cart, code, options = {}) {
+    const subtotal = cart.reduce((s, it) => s + it.price * it.quantity, 0);
+    if (subtotal <= 0) return [];
+    const voucher = getVoucherByCode(code);
+    const candidates = getPromotions().filter(p => (p.automatic && (!p.subscriptionOnly || options.subscription)) || (voucher && p.id === voucher.id));
+
+    const eligible = candidates
+        .filter(p => !getPromotionIneligibility(p, cart, options))
+        .map(p => ({ promo: p, amount: calculatePromotionDiscount(p, getPromotionLines(p, cart)) }))
+        .filter(r => r.amount > 0);
+
+    // stacking: keep every stackable rule, plus the single best non-stackable one
+    const stackable = eligible.filter(r => r.promo.stackable);
+    const best = eligible.filter(r => !r.promo.stackable).sort((a, b) => b.amount - a.amount)[0];
+    const chosen = best ? [best, ...stackable] : stackable;
+
+    // never discount more than the cart is worth
+    let remaining = subtotal;
+    return chosen.map(r => {
+        const amount = Math.min(r.amount, remaining);
+        remaining -= amount;
+        return { id: r.promo.id, code: r.promo.code || null, description: r.promo.description, amount: Math.round(amount * 100) / 100 };
+    }).filter(d => d.amount > 0);
+}
+
+// The active voucher, if it is an eligible 'free_shipping' rule (waives the delivery fee)
+function getFreeShippingPromotion(cart, code, options = {}) {
+    const voucher = getVoucherByCode(code);
+    if (!voucher || voucher.type !== 'free_shipping') return null;
+    return getPromotionIneligibility(voucher, cart, options) ? null : voucher;
+}
+
+// Check whether a typed code can be applied right now.
+// Returns { ok: true } or { ok: false, message } for the voucher UI.
+function validateVoucherCode(cart, code) {
+    const voucher = getVoucherByCode(code);
+    if (!voucher) return { ok: false, message: 'Invalid voucher code' };
+    const reason = getPromotionIneligibility(voucher, cart);
+    if (reason) return { ok: false, message: reason };
+    if (voucher.type === 'free_shipping') return { ok: true };
+    const applied = applyPromotions(cart, voucher.code);
+    if (!applied.some(d => d.id === voucher.id)) {
+        return { ok: false, message: 'A better non-combinable promotion is already applied' };
+    }
+    return { ok: true };
+}
+
 
 
 // ===== CART PERSISTENCE =====
-// Retrieve cart items from browser localStorage
+// Each account keeps its own cart under `os_cart:<username>`; guests use `cartItems`.
+// Signing out leaves the account cart in place so it is there at the next sign-in.
+function getCartStorageKey(username = getCurrentUsername()) {
+    return username ? 'os_cart:' + username : 'cartItems';
+}
+
+// ===== CART STORE =====
+// Carts are saved as { version, items, updatedAt }. Older shapes are brought up to
+// CART_SCHEMA_VERSION by CART_MIGRATIONS, unreadable data is reset to an empty cart
+// instead of breaking the page, and when localStorage is blocked (private mode, quota,
+// disabled cookies) carts live in memory for the rest of the visit.
+const CART_SCHEMA_VERSION = 2;
+
+// CART_MIGRATIONS[n] upgrades a version-n cart to version n + 1
+const CART_MIGRATIONS = {
+    // v1 was a bare array of items; image URLs could contain raw spaces
+    1: cart => ({ version: 2, items: cart.items.map(item => ({ ...item, image: normalizeImageUrl(item.image) })) })
+};
+
+const memoryCartStorage = {
+    data: {},
+    getItem(key) { return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null; },
+    setItem(key, value) { this.data[key] = String(value); },
+    removeItem(key) { delete this.data[key]; }
+};
+
+let cartStorage = null;
+
+// localStorage when it works, otherwise the in-memory fallback
+function getCartStorage() {
+    if (cartStorage) return cartStorage;
+    try {
+        const probe = '__os_cart_probe__';
+        localStorage.setItem(probe, probe);
+        localStorage.removeItem(probe);
+        cartStorage = localStorage;
+    } catch (e) {
+        cartStorage = memoryCartStorage; // private mode or storage disabled: keep the cart for this visit
+    }
+    return cartStorage;
+}
+
+// Keep only well-formed lines with a whole, positive quantity
+function sanitizeCartItems(items) {
+    if (!Array.isArray(items)) return [];
+    return items.filter(item => item && typeof item === 'object' && item.id).map(item => ({
+        id: String(item.id),
+        name: String(item.name || item.id),
+        price: Number(item.price) || 0,
+        image: item.image || '',
+        quantity: Math.max(1, Math.floor(Number(item.quantity) || 1))
+    }));
+}
+
+// Read and upgrade the cart stored under `key`. Never throws.
+function readCart(key) {
+    const storage = getCartStorage();
+    let raw = null;
+    try { raw = storage.getItem(key); } catch (e) { return []; }
+    if (raw === null) return [];
+
+    let cart;
+    try {
+        const parsed = JSON.parse(raw);
+        cart = Array.isArray(parsed) ? { version: 1, items: parsed } : parsed;
+        if (!cart || typeof cart.version !== 'number' || !Array.isArray(cart.items)) throw new Error('Unrecognised cart data');
+    } catch (e) {
+        writeCart(key, []); // unreadable data: start an empty cart rather than break the page
+        return [];
+    }
+
+    const fromVersion = cart.version;
+    while (cart.version < CART_SCHEMA_VERSION && CART_MIGRATIONS[cart.version]) cart = CART_MIGRATIONS[cart.version](cart);
+    const items = sanitizeCartItems(cart.items);
+    if (cart.version !== fromVersion) writeCart(key, items);
+    return items;
+}
+
+// Save items under `key` in the current schema, moving to memory if storage fails
+function writeCart(key, items) {
+    const value = JSON.stringify({ version: CART_SCHEMA_VERSION, items: sanitizeCartItems(items), updatedAt: new Date().toISOString() });
+    try {
+        getCartStorage().setItem(key, value);
+    } catch (e) {
+        cartStorage = memoryCartStorage; // quota full or storage revoked mid-visit
+        cartStorage.setItem(key, value);
+    }
+}
+
+function removeCart(key) {
+    try { getCartStorage().removeItem(key); } catch (e) {}
+}
+
+// Retrieve cart items for the current shopper (guest or account)
 function getCartItems() {
-    return JSON.parse(localStorage.getItem('cartItems')) || [];
+    return priceCartItems(readCart(getCartStorageKey()));
 }
 
-// Write cart array to localStorage and update UI badge
+// Write cart array to storage and update UI badge
 function saveCart(cart) {
-    localStorage.setItem('cartItems', JSON.stringify(cart));
+    writeCart(getCartStorageKey(), priceCartItems(cart));
     updateCartCount(); // refresh the badge number in header
 }
 
+// Keep every open tab in step: when another tab changes the cart, the voucher or who is
+// signed in, refresh the badge and whichever cart view this page shows.
+function handleCartStorageEvent(e) {
+    if (e.storageArea && e.storageArea !== localStorage) return;
+    const username = getCurrentUsername();
+    const watched = [null, getCartStorageKey(username), getVoucherStorageKey(username), getWishlistStorageKey(username), getCartTemplatesStorageKey(username), getSubscriptionsStorageKey(username), getMyPrintersStorageKey(username), getRecentlyViewedStorageKey(username), 'os_reviews', 'os_current_user', 'os_stock', 'os_business_customer', 'os_product_overrides', 'os_promotions', 'os_orders'];
+    if (!watched.includes(e.key)) return;
+    updateCartCount();
+    if (document.getElementById('wishlist-content')) renderWishlistPage();
+    if (document.getElementById('subscriptions-content')) renderSubscriptionsPage();
+    if (document.getElementById('printer-finder-content')) renderMyPrinters(document.getElementById('printer-model').value);
+    if (document.getElementById('recently-viewed')) renderRecentlyViewed();
+    if (e.key === 'os_product_overrides' || e.key === 'os_stock') refreshProductViews();
+    if (e.key === 'os_orders' && document.getElementById('orders-content')) renderOrdersPage();
+    if (document.getElementById('admin-order-list')) renderAdminOrderList();
+    if (e.key === 'os_reviews' && document.getElementById('product-reviews')) {
+        const product = getProductBySku(new URLSearchParams(window.location.search).get('id'));
+        if (product) renderProductReviews(product);
+    }
+    if (e.key === 'os_current_user') renderAuthLinks();
+    if (document.getElementById('cart-items-list')) renderCart();
+    const checkoutWrapper = document.getElementById('checkout-form-wrapper');
+    if (document.getElementById('checkout-items-list') && !(checkoutWrapper && checkoutWrapper.style.display === 'none')) renderOrderSummary();
+}
+
+// Rebuild product cards and the product page after the back office (in another tab) changes the
+// catalog or stock, keeping the shopper's search, filters and sort
+function refreshProductViews() {
+    if (document.querySelector('[data-catalog-grid]')) {
+        renderProductGrids();
+        document.querySelectorAll('[data-catalog-grid] .add-to-cart-btn').forEach(btn => btn.addEventListener('click', handleAddToCartClick));
+        document.querySelectorAll('.sort-select').forEach(select => { if (select.value !== 'default') select.dispatchEvent(new Event('change')); });
+        const search = document.getElementById('catalog-search');
+        if (search) search.dispatchEvent(new Event('input'));
+    }
+    const detail = document.getElementById('product-detail-content');
+    if (detail) {
+        renderProductDetailPage();
+        detail.querySelectorAll('.product-card .add-to-cart-btn').forEach(btn => btn.addEventListener('click', handleAddToCartClick));
+    }
+}
+
+// Combine cart lines per SKU, adding up quantities
+function mergeCartItems(base, extra) {
+    const merged = base.map(item => ({ ...item }));
+    (extra || []).forEach(item => {
+        if (!item || !item.id) return;
+        const existing = merged.find(i => i.id === item.id);
+        if (existing) existing.quantity += Number(item.quantity) || 0;
+        else merged.push({ ...item, quantity: Number(item.quantity) || 1 });
+    });
+    return merged;
+}
+
+// Move everything a guest added before signing in into the account's cart.
+// Also folds in an `os_pending_add` left over from older versions of the site.
+// Returns the number of units that were brought over.
+function mergeGuestCart(username) {
+    if (!username) return 0;
+    let guest = readCart('cartItems');
+    try {
+        const pending = JSON.parse(localStorage.getItem('os_pending_add'));
+        if (pending && pending.id) guest = mergeCartItems(guest, [pending]);
+    } catch (e) {}
+    try {
+        localStorage.removeItem('os_pending_add');
+        // carry a guest voucher over unless the account already has one
+        const guestVoucher = localStorage.getItem('os_active_voucher');
+        if (guestVoucher && !localStorage.getItem(getVoucherStorageKey(username))) localStorage.setItem(getVoucherStorageKey(username), guestVoucher);
+        localStorage.removeItem('os_active_voucher');
+    } catch (e) {}
+    if (!guest.length) return 0;
+
+    const key = getCartStorageKey(username);
+    writeCart(key, priceCartItems(mergeCartItems(readCart(key), guest)));
+    removeCart('cartItems');
+    return guest.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+}
+
 // Update the cart count badge in the header (shows total quantity)
 function updateCartCount() {
     const cartItems = getCartItems();
@@ -106,18 +486,23 @@ function updateCartCount() {
     cartCountElement.setAttribute('data-count', totalItems);
 }
 
-// Add an item to cart or increase qty if already present
+// Add an item to cart or increase qty if already present.
+// Quantities are capped at available stock; returns how many units were actually added.
 function addItemToCart(newItem) {
     const cart = getCartItems();
     const existing = cart.find(i => i.id === newItem.id);
+    const inCart = existing ? existing.quantity : 0;
+    const toAdd = Math.max(0, Math.min(newItem.quantity, getStock(newItem.id) - inCart));
+    if (toAdd === 0) return 0;
     if (existing) {
-        existing.quantity += newItem.quantity; // increase qty
+        existing.quantity += toAdd; // increase qty
     } else {
         // Normalize image URL before saving to avoid encoding issues
         if (newItem.image) newItem.image = normalizeImageUrl(newItem.image);
-        cart.push(newItem);
+        cart.push({ ...newItem, quantity: toAdd });
     }
     saveCart(cart); // persist to localStorage
+    return toAdd;
 }
 
 
@@ -146,40 +531,216 @@ function normalizeImageUrl(url) {
 
 
 
-function migrateStoredImages() {
+// ================= SHIPPING RATES =================
+// Delivery is priced by destination zone and parcel weight:
+//   fee = zone.baseFee + zone.perKg for every kg (rounded up) above zone.baseKg
+// Orders at or above FREE_SHIPPING_THRESHOLD (after discounts) ship free, and a
+// 'free_shipping' voucher waives the fee when its own rules are met.
+const FREE_SHIPPING_THRESHOLD = 1500.00;
+
+// Zones are matched against the city/province typed at checkout (whole words, longest keyword first)
+const SHIPPING_ZONES = [
+    { id: 'metro-manila', label: 'Metro Manila', baseFee: 100.00, baseKg: 3, perKg: 20.00, days: '1–2',
+      keywords: ['metro manila', 'ncr', 'manila', 'quezon city', 'makati', 'pasig', 'taguig', 'pateros', 'mandaluyong', 'san juan', 'marikina', 'caloocan', 'malabon', 'navotas', 'valenzuela', 'paranaque', 'parañaque', 'las pinas', 'las piñas', 'muntinlupa', 'pasay'] },
+    { id: 'luzon', label: 'Luzon', baseFee: 150.00, baseKg: 3, perKg: 30.00, days: '2–4',
+      keywords: ['luzon', 'cavite', 'laguna', 'batangas', 'rizal', 'quezon', 'bulacan', 'pampanga', 'tarlac', 'nueva ecija', 'zambales', 'bataan', 'pangasinan', 'la union', 'ilocos norte', 'ilocos sur', 'baguio', 'benguet', 'isabela', 'cagayan', 'nueva vizcaya', 'aurora', 'albay', 'camarines sur', 'camarines norte', 'sorsogon', 'naga', 'legazpi', 'mindoro', 'marinduque', 'palawan', 'puerto princesa', 'antipolo', 'calamba', 'san pablo', 'lucena', 'angeles', 'san fernando', 'olongapo', 'dagupan', 'tagaytay', 'dasmarinas', 'dasmariñas', 'bacoor', 'imus', 'santa rosa', 'binan', 'biñan', 'malolos', 'cabanatuan'] },
+    { id: 'visayas', label: 'Visayas', baseFee: 220.00, baseKg: 3, perKg: 45.00, days: '3–6',
+      keywords: ['visayas', 'cebu', 'mandaue', 'lapu lapu', 'bohol', 'tagbilaran', 'iloilo', 'capiz', 'roxas', 'aklan', 'boracay', 'antique', 'guimaras', 'negros occidental', 'negros oriental', 'bacolod', 'dumaguete', 'siquijor', 'leyte', 'tacloban', 'ormoc', 'samar', 'biliran', 'catbalogan'] },
+    { id: 'mindanao', label: 'Mindanao', baseFee: 250.00, baseKg: 3, perKg: 50.00, days: '4–7',
+      keywords: ['mindanao', 'davao', 'cagayan de oro', 'zamboanga', 'general santos', 'butuan', 'iligan', 'cotabato', 'bukidnon', 'misamis oriental', 'misamis occidental', 'lanao del norte', 'lanao del sur', 'surigao', 'agusan', 'sultan kudarat', 'south cotabato', 'sarangani', 'koronadal', 'dipolog', 'pagadian', 'marawi', 'basilan', 'sulu', 'tawi tawi', 'camiguin', 'dinagat'] }
+];
+
+// Used until a destination is entered: flat standard rate
+const DEFAULT_SHIPPING_ZONE = { id: 'standard', label: 'Standard', baseFee: SHIPPING_FEE, baseKg: 3, perKg: 30.00, days: '2–7' };
+
+// Destination (city/province text) last entered on the cart or checkout page
+function getShippingDestination() {
+    try { return localStorage.getItem('os_shipping_destination') || ''; } catch (e) { return ''; }
+}
 
-    const cart = getCartItems();
+function setShippingDestination(text) {
+    try {
+        if (text && text.trim()) localStorage.setItem('os_shipping_destination', text.trim());
+        else localStorage.removeItem('os_shipping_destination');
+    } catch (e) {}
+}
+
+// Match a free-text city/province to a shipping zone (null if not recognised)
+function findShippingZone(destination) {
+    const text = ' ' + String(destination || '').toLowerCase().replace(/[^a-zñ0-9]+/g, ' ').trim() + ' ';
+    if (!text.trim()) return null;
+    let best = null;
+    SHIPPING_ZONES.forEach(zone => {
+        zone.keywords.forEach(k => {
+            if (text.includes(' ' + k.replace(/-/g, ' ') + ' ') && (!best || k.length > best.keyword.length)) best = { zone, keyword: k };
+        });
+    });
+    return best ? best.zone : null;
+}
 
-    let changed = false;
+// Total parcel weight in kg (unknown products count as 0.5 kg each)
+function calculateCartWeight(cart) {
+    return cart.reduce((sum, item) => {
+        const product = getProductBySku(item.id);
+        const unitWeight = product && typeof product.weightKg === 'number' ? product.weightKg : 0.5;
+        return sum + unitWeight * item.quantity;
+    }, 0);
+}
 
-    for (const item of cart) {
+// Price delivery for a cart.
+// merchandiseTotal is the subtotal after discounts; freeShippingPromo is an eligible
+// 'free_shipping' voucher (or null), only used when the order does not already ship free.
+// Returns { fee, baseFee, zone, weightKg, freeReason, voucherApplied }.
+function calculateShipping(cart, { destination = getShippingDestination(), merchandiseTotal = 0, freeShippingPromo = null } = {}) {
+    const zone = findShippingZone(destination) || DEFAULT_SHIPPING_ZONE;
+    const weightKg = calculateCartWeight(cart);
+    const extraKg = Math.max(0, Math.ceil(weightKg - zone.baseKg));
+    const baseFee = cart.length ? zone.baseFee + extraKg * zone.perKg : 0;
+    const thresholdMet = merchandiseTotal >= FREE_SHIPPING_THRESHOLD;
+    const voucherApplied = baseFee > 0 && !thresholdMet && !!freeShippingPromo;
+    let freeReason = null;
+    if (baseFee > 0 && thresholdMet) freeReason = `Free shipping on orders ${formatPrice(FREE_SHIPPING_THRESHOLD)}+`;
+    else if (voucherApplied) freeReason = freeShippingPromo.description || `Voucher ${freeShippingPromo.code}`;
+    return { fee: freeReason ? 0 : baseFee, baseFee, zone, weightKg, freeReason, voucherApplied };
+}
 
-        if (item.image) {
 
-            const norm = normalizeImageUrl(item.image);
 
-            if (norm !== item.image) { item.image = norm; changed = true; }
+// ================= VAT =================
+// Philippine VAT is 12%. Catalog prices and shipping fees are quoted VAT-inclusive
+// (PRICES_INCLUDE_VAT); set it to false to quote them net of VAT and add the VAT to the total.
+// Products marked `vatExempt: true` in products.js are sold without VAT. Discounts lower the
+// VAT base: each one is split between the VATable and exempt lines it applies to, in proportion
+// to their value. Shipping is a VATable sale.
+// Business customers (os_business_customer) see VATable sales, VAT-exempt sales and VAT as
+// separate lines; everyone else sees a single "Includes 12% VAT" line.
 
-        }
+const VAT_RATE = 0.12;
+const PRICES_INCLUDE_VAT = true;
 
-    }
+// Promo listings follow the VAT status of the product they are a deal for
+function isVatExempt(sku) {
+    const product = getProductBySku(sku);
+    if (!product) return false;
+    if (product.vatExempt !== undefined) return !!product.vatExempt;
+    const base = product.baseSku ? getProductBySku(product.baseSku) : null;
+    return !!(base && base.vatExempt);
+}
 
-    if (changed) saveCart(cart);
+// Split the itemised discounts between VATable and VAT-exempt lines. Returns { vatable, exempt }.
+function allocateDiscountsForVat(cart, discounts) {
+    const lineValue = lines => lines.reduce((s, it) => s + it.price * it.quantity, 0);
+    return (discounts || []).reduce((split, d) => {
+        const promo = getPromotions().find(p => p.id === d.id);
+        const lines = promo ? getPromotionLines(promo, cart) : cart;
+        const total = lineValue(lines);
+        const exemptShare = total > 0 ? d.amount * lineValue(lines.filter(it => isVatExempt(it.id))) / total : 0;
+        split.exempt += exemptShare;
+        split.vatable += d.amount - exemptShare;
+        return split;
+    }, { vatable: 0, exempt: 0 });
+}
+
+// VAT on a cart after discounts, with shipping counted as a VATable sale.
+// Returns { rate, pricesIncludeVat, vatableSales, exemptSales, vatAmount, vatableDiscount, exemptDiscount };
+// vatableSales + exemptSales + vatAmount always equals the amount the customer pays.
+function calculateVat(cart, discounts, shipping = 0) {
+    const round = n => Math.round(n * 100) / 100;
+    const gross = exempt => cart.filter(it => isVatExempt(it.id) === exempt).reduce((s, it) => s + it.price * it.quantity, 0);
+    const split = allocateDiscountsForVat(cart, discounts);
+    const vatableBase = round(Math.max(0, gross(false) - split.vatable) + shipping);
+    const vatableSales = PRICES_INCLUDE_VAT ? round(vatableBase / (1 + VAT_RATE)) : vatableBase;
+    return {
+        rate: VAT_RATE,
+        pricesIncludeVat: PRICES_INCLUDE_VAT,
+        vatableSales,
+        exemptSales: round(Math.max(0, gross(true) - split.exempt)),
+        vatAmount: PRICES_INCLUDE_VAT ? round(vatableBase - vatableSales) : round(vatableBase * VAT_RATE),
+        vatableDiscount: round(split.vatable),
+        exemptDiscount: round(split.exempt)
+    };
+}
+
+// VAT of a placed order. Orders from before VAT was itemised carry no breakdown; their
+// prices were VAT-inclusive, so the VAT is worked out of the total.
+function getOrderVatBreakdown(order) {
+    if (order.totals.vat) return order.totals.vat;
+    const vatableSales = Math.round(order.totals.total / (1 + VAT_RATE) * 100) / 100;
+    return { rate: VAT_RATE, pricesIncludeVat: true, vatableSales, exemptSales: 0, vatAmount: Math.round((order.totals.total - vatableSales) * 100) / 100, vatableDiscount: 0, exemptDiscount: 0 };
+}
+
+// Business accounts always get the business view
+function isBusinessCustomer() {
+    if (getBusinessProfile()) return true;
+    try { return localStorage.getItem('os_business_customer') === '1'; } catch (e) { return false; }
+}
 
+function setBusinessCustomer(on) {
+    try {
+        if (on) localStorage.setItem('os_business_customer', '1');
+        else localStorage.removeItem('os_business_customer');
+    } catch (e) {}
 }
 
+// Summary rows explaining the VAT in a total
+function renderVatLines(vat, business = isBusinessCustomer()) {
+    const pct = Math.round(vat.rate * 100);
+    const line = (label, amount) => `<div class="summary-line vat-line"><span>${label}</span><span class="summary-value">${formatPrice(amount)}</span></div>`;
+    if (!business) return line(vat.pricesIncludeVat === false ? `${pct}% VAT added` : `Includes ${pct}% VAT`, vat.vatAmount);
+    return line('VATable sales', vat.vatableSales)
+        + line('VAT-exempt sales', vat.exemptSales)
+        + line(`VAT (${pct}%)`, vat.vatAmount)
+        + (vat.vatableDiscount > 0 ? `<p class="vat-note">VATable sales are after ${formatPrice(vat.vatableDiscount)} of discounts.</p>` : '');
+}
 
+// Fill #<prefix>-vat-lines and sync the #<prefix>-business-vat checkbox (cart and checkout)
+function renderVatSummary(prefix, totals) {
+    const container = document.getElementById(`${prefix}-vat-lines`);
+    const toggle = document.getElementById(`${prefix}-business-vat`);
+    if (container) container.innerHTML = totals.subtotal > 0 ? renderVatLines(totals.vat) : '';
+    if (toggle) { toggle.checked = isBusinessCustomer(); toggle.disabled = !!getBusinessProfile(); }
+}
 
-function calculateCartTotals(cart) {
+// ================= CART TOTALS =================
 
+// options.destination overrides the saved shipping destination (city/province text);
+// options.subscription prices a subscription delivery (subscriber deals, no typed voucher)
+function calculateCartTotals(cart, options = {}) {
     const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     const itemCount = cart.reduce((sum, item) => sum + item.quantity, 0);
-    const appliedCode = getActiveVoucherCode();
-    const discount = appliedCode ? calculateVoucherDiscount(cart, appliedCode) : 0;
-    const shipping = subtotal > 0 ? SHIPPING_FEE : 0;
-    const total = Math.max(0, subtotal - (discount || 0)) + shipping;
-    return { subtotal, discount, shipping, total, itemCount, appliedVoucher: appliedCode };
+    const appliedCode = options.subscription ? null : getActiveVoucherCode();
+    // itemised discounts from the promotion engine (automatic deals + active voucher)
+    const discounts = applyPromotions(cart, appliedCode, { subscription: !!options.subscription });
+    const discount = discounts.reduce((sum, d) => sum + d.amount, 0);
+    const freeShippingPromo = getFreeShippingPromotion(cart, appliedCode);
+    const merchandiseTotal = Math.max(0, subtotal - (discount || 0));
+    const shippingInfo = calculateShipping(cart, {
+        destination: options.destination !== undefined ? options.destination : getShippingDestination(),
+        merchandiseTotal,
+        freeShippingPromo
+    });
+    // a free-shipping voucher only counts as applied when it took a fee off
+    const voucherUsed = discounts.some(d => d.code && appliedCode && d.code === appliedCode.toUpperCase()) || shippingInfo.voucherApplied;
+    const appliedVoucher = voucherUsed ? appliedCode.toUpperCase() : null;
+    const shipping = subtotal > 0 ? shippingInfo.fee : 0;
+    const vat = calculateVat(cart, discounts, shipping);
+    const total = merchandiseTotal + shipping + (vat.pricesIncludeVat ? 0 : vat.vatAmount);
+    const freeShippingVoucher = shippingInfo.voucherApplied ? { id: freeShippingPromo.id, code: freeShippingPromo.code, description: freeShippingPromo.description } : null;
+    return { subtotal, discount, discounts, shipping, shippingInfo, freeShippingVoucher, vat, total, itemCount, appliedVoucher };
+
+}
+
+
 
+// Render the itemised discount rows into a summary box (cart and checkout)
+function renderDiscountLines(container, discounts) {
+    if (!container) return;
+    container.innerHTML = (discounts || []).map(d => `
+        <div class="summary-line discount-line">
+            <span>${escapeHtml(d.description || d.code || 'Discount')}</span>
+            <span class="summary-value">-${formatPrice(d.amount)}</span>
+        </div>
+    `).join('');
 }
 
 
@@ -212,6 +773,8 @@ function showToast(message, timeout = 900) {
 
         fontSize: '14px',
 
+        whiteSpace: 'pre-line',
+
         zIndex: 9999,
 
         boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
@@ -234,66 +797,459 @@ function showToast(message, timeout = 900) {
 
 }
 
-// ================= CATALOG PAGE: PRODUCT INTERACTIONS =================
-// Setup: Attach event listeners to all "Add to Cart" buttons on catalog/promo pages
-// Triggered on page load if .product-card elements exist in DOM
-function setupCatalog() {
-    updateCartCount(); // refresh cart badge on page load
-    const buttons = document.querySelectorAll('.add-to-cart-btn');
-    buttons.forEach(btn => {
+// Save a generated file (invoice PDF, CSV export) through a temporary download link
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
+// ================= PRODUCT CATALOG =================
+// Product data lives in products.js (PRODUCTS / PRODUCT_CATEGORIES), with the back-office edits
+// from admin.html layered on top. These helpers are the only place the rest of the site reads it from.
+//
+// Back-office edits are kept under `os_product_overrides` as { [sku]: { ...fields, deleted, updatedAt } }.
+// An entry for a SKU that products.js does not have is a product added in the back office.
 
-        btn.addEventListener('click', (e) => {
+function getProductOverrides() {
+    try { return JSON.parse(localStorage.getItem('os_product_overrides')) || {}; } catch (e) { return {}; }
+}
+
+function saveProductOverrides(overrides) {
+    try { localStorage.setItem('os_product_overrides', JSON.stringify(overrides || {})); } catch (e) {}
+}
+
+// products.js merged with the back-office edits, deleted listings included.
+// Rebuilt only when the stored edits change, as product lookups happen on every render.
+let catalogCache = { raw: undefined, all: [], live: [] };
+
+function getCatalogWithOverrides() {
+    if (typeof PRODUCTS === 'undefined' || !Array.isArray(PRODUCTS)) return [];
+    let raw = null;
+    try { raw = localStorage.getItem('os_product_overrides'); } catch (e) {}
+    if (catalogCache.raw === raw) return catalogCache.all;
+    const overrides = getProductOverrides();
+    const known = new Set(PRODUCTS.map(p => p.sku));
+    const added = Object.keys(overrides).filter(sku => !known.has(sku) && overrides[sku].name).map(sku => ({ ...overrides[sku], sku }));
+    const all = [...PRODUCTS.map(p => overrides[p.sku] ? { ...p, ...overrides[p.sku], sku: p.sku } : p), ...added];
+    catalogCache = { raw, all, live: all.filter(p => !p.deleted) };
+    return all;
+}
+
+// Return the product list shoppers see (empty if products.js is not loaded on this page)
+function getProducts() {
+    getCatalogWithOverrides();
+    return catalogCache.live;
+}
 
-            const card = e.target.closest('.product-card');
+// Look up a single product by SKU (case-insensitive)
+function getProductBySku(sku) {
+    if (!sku) return null;
+    const key = String(sku).trim().toLowerCase();
+    return getProducts().find(p => p.sku.toLowerCase() === key) || null;
+}
 
-            if (!card) return;
+// Regular (non-promo) products in a category, in catalog order
+function getProductsByCategory(category) {
+    return getProducts().filter(p => !p.promo && p.category === category);
+}
 
-            const id = card.dataset.id;
+// Listings shown on the promos page
+function getPromoProducts() {
+    return getProducts().filter(p => p.promo);
+}
 
-            const name = card.dataset.name;
+// Build a cart line item for a product
+function productToCartItem(product, quantity = 1) {
+    return {
+        id: product.sku,
+        name: product.name,
+        price: product.price,
+        image: normalizeImageUrl((product.images && product.images[0]) || ''),
+        quantity
+    };
+}
 
-            const price = parseFloat((card.dataset.price || '0').replace(/,/g, '')) || 0;
+// ================= BULK PRICING =================
+// Products sold by the box can have quantity price breaks (`priceTiers` in products.js, e.g.
+// 10+ and 50+ reams). The base `price` covers quantities below the first break. A cart line's
+// unit price follows its quantity and the current catalog: carts are repriced as they are read
+// and saved, so a price changed in the back office shows up in carts that already hold the item.
+
+// Full price table of a product: [{ minQty, maxQty (null = no limit), price }], or [] without tiers
+function getPriceTiers(product) {
+    if (!product || !Array.isArray(product.priceTiers) || !product.priceTiers.length) return [];
+    const breaks = [{ minQty: 1, price: product.price }, ...product.priceTiers].sort((a, b) => a.minQty - b.minQty);
+    return breaks.map((tier, i) => ({ minQty: tier.minQty, maxQty: breaks[i + 1] ? breaks[i + 1].minQty - 1 : null, price: tier.price }));
+}
 
-            // Use the displayed img src (may contain spaces) if present
+// Unit price of a SKU at a quantity (the catalog price when it has no tiers)
+function getUnitPrice(sku, quantity) {
+    const product = getProductBySku(sku);
+    if (!product) return null;
+    const tier = getPriceTiers(product).filter(t => quantity >= t.minQty).pop();
+    return tier ? tier.price : product.price;
+}
 
-            const imgElem = card.querySelector('.product-photo img');
+// Reprice lines at the catalog price for their current quantity (lines for products no longer
+// sold keep the price they were added at until enforceCartStock() drops them)
+function priceCartItems(cart) {
+    return cart.map(item => {
+        const product = getProductBySku(item.id);
+        if (!product) return item;
+        return { ...item, price: getUnitPrice(item.id, item.quantity) };
+    });
+}
 
-            const image = (imgElem && imgElem.src) ? imgElem.src : (card.dataset.image || '');
+// What a line saves against the single-unit price, and the next break up (or null)
+function getTierSavings(item) {
+    const product = getProductBySku(item.id);
+    const tiers = getPriceTiers(product);
+    if (!tiers.length) return { saved: 0, nextTier: null };
+    const saved = Math.max(0, Math.round((product.price - item.price) * item.quantity * 100) / 100);
+    return { saved, nextTier: tiers.find(t => t.minQty > item.quantity) || null };
+}
 
+function formatTierRange(tier) {
+    return tier.maxQty === null ? `${tier.minQty}+` : `${tier.minQty}–${tier.maxQty}`;
+}
 
-            // Require login: if user is not logged in, save pending add and redirect to login/signup
-            if (!isLoggedIn()) {
-                try { localStorage.setItem('os_pending_add', JSON.stringify({ id, name, price, image, quantity: 1 })); } catch (err) {}
-                requireLogin(window.location.href);
-                return;
-            }
+// Price break table for a product card
+function renderPriceTierTable(product) {
+    const tiers = getPriceTiers(product);
+    if (!tiers.length) return '';
+    return `
+        <table class="price-tiers">
+            <caption>Bulk pricing (per unit)</caption>
+            ${tiers.map(t => `<tr><td>${formatTierRange(t)}</td><td>${formatPrice(t.price)}</td></tr>`).join('')}
+        </table>`;
+}
 
-            // User is logged in — proceed to add to cart
-            addItemToCart({ id, name, price, image, quantity: 1 });
-            showToast('Added to cart!');
+// Savings note shown next to a cart line's unit price
+function renderTierSavings(item) {
+    const { saved, nextTier } = getTierSavings(item);
+    const parts = [];
+    if (saved > 0) parts.push(`<small class="tier-savings">Bulk price — you save ${formatPrice(saved)}</small>`);
+    if (nextTier) parts.push(`<small class="tier-next">${formatPrice(nextTier.price)} each from ${nextTier.minQty}</small>`);
+    return parts.join('');
+}
 
+// ================= INVENTORY =================
+// Starting stock comes from products.js (`stock`). Once orders are placed, or a count is entered
+// in the back office, the remaining units per SKU are kept in `os_stock`, which is shared by
+// everyone using this browser.
+const LOW_STOCK_THRESHOLD = 10;
 
+function getStockLevels() {
+    try { return JSON.parse(localStorage.getItem('os_stock')) || {}; } catch (e) { return {}; }
+}
 
-            // brief button feedback
+function saveStockLevels(levels) {
+    try { localStorage.setItem('os_stock', JSON.stringify(levels || {})); } catch (e) {}
+}
 
-            const orig = e.target.textContent;
+// Units available for a SKU (0 for unknown products, unlimited if the catalog sets no stock)
+function getStock(sku) {
+    const product = getProductBySku(sku);
+    if (!product) return 0;
+    const levels = getStockLevels();
+    if (typeof levels[product.sku] === 'number') return levels[product.sku];
+    return typeof product.stock === 'number' ? product.stock : Infinity;
+}
 
-            e.target.textContent = 'Added!';
+// ` max="<units>"` for a quantity input, or nothing when the stock is unlimited
+function renderStockMaxAttr(sku) {
+    const stock = getStock(sku);
+    return stock === Infinity ? '' : ` max="${stock}"`;
+}
 
-            e.target.disabled = true;
+// 'out', 'low' (at or under LOW_STOCK_THRESHOLD) or 'in'
+function getStockState(sku) {
+    const stock = getStock(sku);
+    if (stock <= 0) return 'out';
+    return stock <= LOW_STOCK_THRESHOLD ? 'low' : 'in';
+}
 
-            setTimeout(() => {
+// Take ordered quantities off the shelf
+function decrementStock(items) {
+    const levels = getStockLevels();
+    (items || []).forEach(item => {
+        const stock = getStock(item.id);
+        if (stock === Infinity) return;
+        levels[item.id] = Math.max(0, stock - (Number(item.quantity) || 0));
+    });
+    saveStockLevels(levels);
+}
 
-                e.target.textContent = orig;
+// Put units back on the shelf (a cancelled order)
+function restockItems(items) {
+    const levels = getStockLevels();
+    (items || []).forEach(item => {
+        const product = getProductBySku(item.id);
+        const stock = getStock(item.id);
+        if (!product || stock === Infinity) return;
+        levels[product.sku] = stock + (Number(item.quantity) || 0);
+    });
+    saveStockLevels(levels);
+}
 
-                e.target.disabled = false;
+// Set the units available for a SKU (back-office stock count); null drops the count
+function setStockLevel(sku, units) {
+    const levels = getStockLevels();
+    if (units === null) delete levels[sku];
+    else levels[sku] = Math.max(0, Math.floor(Number(units) || 0));
+    saveStockLevels(levels);
+}
 
-            }, 800);
+// Lower any cart quantity that is above the available stock (dropping sold-out lines).
+// Returns [{ name, requested, available }] for every line that changed.
+function enforceCartStock() {
+    const cart = getCartItems();
+    const changes = [];
+    const kept = [];
+    cart.forEach(item => {
+        const available = getStock(item.id);
+        if (item.quantity > available) {
+            changes.push({ name: item.name, requested: item.quantity, available });
+            if (available > 0) kept.push({ ...item, quantity: available });
+        } else {
+            kept.push(item);
+        }
+    });
+    if (changes.length) saveCart(kept);
+    return changes;
+}
 
-        });
+// Customer-facing summary of enforceCartStock() changes
+function describeStockChanges(changes) {
+    return changes.map(c => c.available > 0
+        ? `${c.name}: only ${c.available} left, quantity reduced from ${c.requested}`
+        : `${c.name}: out of stock, removed from your cart`).join('\n');
+}
 
+// Build the markup for one .product-card
+function renderProductCard(product, index = 0) {
+    const image = (product.images && product.images[0]) || '';
+    const priceHtml = product.compareAtPrice
+        ? `<div class="price-wrapper"><span class="old-price">${formatPrice(product.compareAtPrice)}</span><span class="new-price">${formatPrice(product.price)}</span></div>`
+        : `<p class="product-price">${formatPrice(product.price)}</p>`;
+    const stockState = getStockState(product.sku);
+    const stockHtml = stockState === 'out'
+        ? `<p class="stock-note out">Out of stock</p>`
+        : stockState === 'low' ? `<p class="stock-note low">Only ${getStock(product.sku)} left</p>` : '';
+    const rating = getRatingSummary(product.sku);
+    return `
+        <div class="product-card" data-id="${escapeHtml(product.sku)}" data-name="${escapeHtml(product.name)}" data-price="${product.price.toFixed(2)}" data-category="${escapeHtml(product.category)}" data-rating="${rating.average.toFixed(2)}" data-review-count="${rating.count}" data-original-index="${index}">
+            ${renderWishlistToggle(product.sku)}
+            ${product.badge ? `<div class="sale-badge">${escapeHtml(product.badge)}</div>` : ''}
+            <a href="${escapeHtml(getProductUrl(product.sku))}" class="product-photo"><img src="${escapeHtml(image)}" alt="${escapeHtml(product.alt || product.name)}"></a>
+            <div class="product-info">
+                <p class="product-name"><a href="${escapeHtml(getProductUrl(product.sku))}" class="product-link">${escapeHtml(product.name)}</a></p>
+                ${renderRatingSummary(product.sku)}
+                ${priceHtml}
+                ${renderPriceTierTable(product)}
+                ${stockHtml}
+                ${renderSubscribeBox(product.sku)}
+                ${stockState === 'out'
+                    ? `<button class="add-to-cart-btn out-of-stock" disabled>Out of stock</button>`
+                    : `<button class="add-to-cart-btn">Add to cart</button>`}
+            </div>
+        </div>
+    `;
+}
+
+// Fill every [data-catalog-grid] container on the page.
+// data-catalog-grid="promo" renders the promo listings, any other value is a category id.
+function renderProductGrids() {
+    document.querySelectorAll('[data-catalog-grid]').forEach(grid => {
+        const key = grid.dataset.catalogGrid;
+        const products = key === 'promo' ? getPromoProducts() : getProductsByCategory(key);
+        grid.innerHTML = products.map((p, idx) => renderProductCard(p, idx)).join('');
+    });
+}
+
+// ================= CATALOG SEARCH & FILTERS =================
+// Instant, typo-tolerant product search plus category / price / promo filters.
+// Cards are shown or hidden in place so the per-section sort keeps working.
+
+// True if a regular product currently has a promo listing on promos.html
+function isProductOnPromo(sku) {
+    return getPromoProducts().some(p => p.baseSku === sku);
+}
+
+// Lowercase, strip punctuation and split into words
+function tokenizeSearchText(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+}
+
+// Edit distance counting insertions, deletions, substitutions and adjacent swaps
+// ("stapel" -> "stapler" is 2: swap "el", add "r")
+function editDistance(a, b) {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) { d[i] = [i]; }
+    for (let j = 0; j <= b.length; j++) { d[0][j] = j; }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Does one typed word match one word of a product name?
+// Exact prefix matches count immediately (so results appear while typing);
+// longer words also allow a typo or two, as long as the first letter is right.
+function searchWordMatches(query, word) {
+    if (word.startsWith(query)) return true;
+    if (query.length < 3 || query[0] !== word[0]) return false;
+    const allowed = query.length <= 4 ? 1 : 2;
+    if (editDistance(query, word) <= allowed) return true;
+    // compare against the start of the word too, for partially typed words
+    return word.length > query.length && editDistance(query, word.slice(0, query.length)) <= allowed - 1;
+}
+
+// Every typed word must match some word of the product name
+function productMatchesQuery(product, query) {
+    const queryWords = tokenizeSearchText(query);
+    if (queryWords.length === 0) return true;
+    const nameWords = tokenizeSearchText(product.name);
+    return queryWords.every(q => nameWords.some(w => searchWordMatches(q, w)));
+}
+
+// Apply { query, category, minPrice, maxPrice, onPromo } to a list of products
+function filterProducts(products, filters = {}) {
+    const { query = '', category = '', minPrice = null, maxPrice = null, onPromo = false } = filters;
+    return products.filter(p => {
+        if (category && p.category !== category) return false;
+        if (minPrice !== null && p.price < minPrice) return false;
+        if (maxPrice !== null && p.price > maxPrice) return false;
+        if (onPromo && !isProductOnPromo(p.sku)) return false;
+        return productMatchesQuery(p, query);
     });
+}
+
+// Wire up the filter bar on catalog.html
+function setupCatalogFilters() {
+    const search = document.getElementById('catalog-search');
+    if (!search) return;
+    const categorySelect = document.getElementById('filter-category');
+    const minInput = document.getElementById('filter-price-min');
+    const maxInput = document.getElementById('filter-price-max');
+    const promoCheck = document.getElementById('filter-on-promo');
+    const countElem = document.getElementById('catalog-result-count');
+    const noResults = document.getElementById('catalog-no-results');
+
+    if (categorySelect && typeof PRODUCT_CATEGORIES !== 'undefined') {
+        PRODUCT_CATEGORIES.forEach(c => categorySelect.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(c.id)}">${escapeHtml(c.label)}</option>`));
+    }
+
+    function readPrice(input) {
+        if (!input || input.value.trim() === '') return null;
+        const n = parseFloat(input.value);
+        return isNaN(n) ? null : n;
+    }
+
+    function applyFilters() {
+        const filters = {
+            query: search.value,
+            category: categorySelect ? categorySelect.value : '',
+            minPrice: readPrice(minInput),
+            maxPrice: readPrice(maxInput),
+            onPromo: !!(promoCheck && promoCheck.checked)
+        };
+        const cards = Array.from(document.querySelectorAll('[data-catalog-grid] .product-card'));
+        const products = cards.map(card => getProductBySku(card.dataset.id)).filter(Boolean);
+        const visible = new Set(filterProducts(products, filters).map(p => p.sku));
+
+        cards.forEach(card => { card.style.display = visible.has(card.dataset.id) ? '' : 'none'; });
+
+        // hide a whole section (title, sort bar, grid) when none of its cards match
+        document.querySelectorAll('.catalog-group').forEach(group => {
+            const anyVisible = Array.from(group.querySelectorAll('.product-card')).some(c => c.style.display !== 'none');
+            group.style.display = anyVisible ? '' : 'none';
+        });
+
+        const isFiltered = !!(filters.query.trim() || filters.category || filters.minPrice !== null || filters.maxPrice !== null || filters.onPromo);
+        if (countElem) countElem.textContent = isFiltered ? `Showing ${visible.size} of ${cards.length} products` : '';
+        if (noResults) noResults.style.display = visible.size === 0 ? 'block' : 'none';
+    }
+
+    function clearFilters() {
+        search.value = '';
+        if (categorySelect) categorySelect.value = '';
+        if (minInput) minInput.value = '';
+        if (maxInput) maxInput.value = '';
+        if (promoCheck) promoCheck.checked = false;
+        applyFilters();
+        search.focus();
+    }
+
+    search.addEventListener('input', applyFilters);
+    [categorySelect, minInput, maxInput, promoCheck].forEach(el => el && el.addEventListener('input', applyFilters));
+    promoCheck && promoCheck.addEventListener('change', applyFilters);
+    document.querySelectorAll('#clear-catalog-filters, #no-results-clear').forEach(btn => btn.addEventListener('click', clearFilters));
+
+    applyFilters();
+}
+
+// ================= CATALOG PAGE: PRODUCT INTERACTIONS =================
+// Setup: Attach event listeners to all "Add to Cart" buttons on catalog/promo pages
+// Triggered on page load if .product-card elements exist in DOM
+function setupCatalog() {
+    updateCartCount(); // refresh cart badge on page load
+    const buttons = document.querySelectorAll('.add-to-cart-btn');
+    buttons.forEach(btn => btn.addEventListener('click', handleAddToCartClick));
+}
+
+// "Add to cart" on a .product-card; pages that render cards later (printer finder) call it from a delegated listener
+function handleAddToCartClick(e) {
+
+    const card = e.target.closest('.product-card');
+
+    if (!card) return;
+
+    // Price, name and image come from the catalog, not the card markup
+    const product = getProductBySku(card.dataset.id);
+
+    if (!product) { showToast('This product is no longer available'); return; }
+
+    const { id, name, price, image } = productToCartItem(product);
+
+
+    // Guests add to the guest cart; it is merged into their account cart when they sign in
+    if (!addItemToCart({ id, name, price, image, quantity: 1 })) {
+        const stock = getStock(id);
+        showToast(stock > 0 ? `Only ${stock} in stock — all of them are in your cart` : 'Sorry, this item is out of stock');
+        return;
+    }
+    showToast('Added to cart!');
+
+
+
+    // brief button feedback
+
+    const orig = e.target.textContent;
+
+    e.target.textContent = 'Added!';
+
+    e.target.disabled = true;
+
+    setTimeout(() => {
+
+        e.target.textContent = orig;
+
+        e.target.disabled = false;
+
+    }, 800);
 
 }
 
@@ -321,7 +1277,7 @@ function showAuthPrompt() {
 
                     <h2>Sign In or Create Account</h2>
 
-                    <p>You need to sign in or create an account to add items to your cart and checkout.</p>
+                    <p>You need to sign in or create an account to checkout. Items already in your cart come with you.</p>
 
                     <div class="auth-prompt-buttons">
 
@@ -379,41 +1335,1116 @@ function showAuthPrompt() {
 
 
 
-// ================= AUTHENTICATION & ACCESS CONTROL =================
-// Check if user is currently logged in (checks localStorage flag)
-function isLoggedIn() {
-    try {
-        return !!localStorage.getItem('os_current_user');
-    } catch (e) { return false; }
-}
-
-
-
-function requireLogin(returnTo) {
-
-    try { localStorage.setItem('os_post_login_redirect', returnTo || window.location.href); } catch (e) {}
-
-    showToast('Please sign in to continue', 900);
-
-    setTimeout(() => {
-
-        const url = 'login.html?return=' + encodeURIComponent(returnTo || window.location.href);
+// ================= PRODUCT DETAIL PAGE =================
+// product.html?id=os05 shows one product: gallery, description, specifications, price and stock,
+// a quantity selector and related products from the same category. Cards link here by SKU.
+
+const RELATED_PRODUCTS_LIMIT = 4;
+
+// Display labels for the `specs` fields in products.js, in the order they are listed
+const PRODUCT_SPEC_LABELS = {
+    paperSize: 'Paper size',
+    paperWeight: 'Paper weight',
+    sheets: 'Sheet count',
+    size: 'Size',
+    pieces: 'Pieces per pack',
+    colours: 'Colours',
+    tip: 'Tip',
+    ruling: 'Ruling',
+    finish: 'Finish',
+    thickness: 'Thickness',
+    printerType: 'For printers',
+    yield: 'Page yield',
+    compatiblePrinters: 'Compatible printers'
+};
 
-        window.location.href = url;
+function getProductUrl(sku) {
+    return 'product.html?id=' + encodeURIComponent(sku);
+}
 
-    }, 700);
+// Specs of a product; promo listings fall back to their regular product's.
+// Compatible printers come from the printer data set (printers.js) when the page loads it.
+function getProductSpecs(product) {
+    if (!product) return {};
+    const base = product.baseSku ? getProductBySku(product.baseSku) : null;
+    const specs = product.specs || (base && base.specs) || {};
+    const printers = getCompatiblePrinters(product.sku).map(m => m.label);
+    return printers.length ? { ...specs, compatiblePrinters: printers } : specs;
+}
 
+function formatSpecValue(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'number') return value.toLocaleString('en-PH');
+    return String(value);
 }
 
+function renderProductSpecs(product) {
+    const specs = getProductSpecs(product);
+    const keys = [...Object.keys(PRODUCT_SPEC_LABELS).filter(k => specs[k] !== undefined), ...Object.keys(specs).filter(k => !PRODUCT_SPEC_LABELS[k])];
+    const rows = [['SKU', product.sku], ...keys.map(k => [PRODUCT_SPEC_LABELS[k] || k, formatSpecValue(specs[k])])];
+    if (typeof product.weightKg === 'number') rows.push(['Shipping weight', `${product.weightKg} kg`]);
+    return `<table class="product-specs">${rows.map(([label, value]) => `<tr><th scope="row">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`;
+}
 
+// Other regular products in the same category (the promo listing's own base product first)
+function getRelatedProducts(product, limit = RELATED_PRODUCTS_LIMIT) {
+    const same = getProductsByCategory(product.category).filter(p => p.sku !== product.sku);
+    const base = product.baseSku ? same.find(p => p.sku === product.baseSku) : null;
+    return (base ? [base, ...same.filter(p => p !== base)] : same).slice(0, limit);
+}
 
-function renderAuthLinks() {
+function renderProductGallery(product) {
+    const images = (product.images && product.images.length ? product.images : ['']).map(normalizeImageUrl);
+    const alt = product.alt || product.name;
+    return `
+        <div class="product-gallery">
+            <div class="product-gallery-main"><img src="${escapeHtml(images[0])}" alt="${escapeHtml(alt)}" id="product-gallery-image" onerror="this.onerror=null;this.src='https://via.placeholder.com/400?text=No+Image'"></div>
+            ${images.length > 1 ? `<div class="product-gallery-thumbs">${images.map((src, i) => `
+                <button type="button" class="product-gallery-thumb${i === 0 ? ' active' : ''}" data-src="${escapeHtml(src)}" aria-label="Show photo ${i + 1} of ${images.length}">
+                    <img src="${escapeHtml(src)}" alt="">
+                </button>`).join('')}</div>` : ''}
+        </div>`;
+}
 
-    const user = localStorage.getItem('os_current_user');
+function renderProductDetail(product) {
+    const stock = getStock(product.sku);
+    const stockState = getStockState(product.sku);
+    const stockHtml = stockState === 'out' ? '<p class="stock-note out">Out of stock</p>'
+        : stockState === 'low' ? `<p class="stock-note low">Only ${stock} left</p>`
+        : '<p class="stock-note in">In stock</p>';
+    const priceHtml = product.compareAtPrice
+        ? `<div class="price-wrapper"><span class="old-price">${formatPrice(product.compareAtPrice)}</span><span class="new-price">${formatPrice(product.price)}</span></div>`
+        : `<p class="product-detail-price">${formatPrice(product.price)}</p>`;
+    const together = getFrequentlyBoughtTogether([product.sku]);
+    const related = getRelatedProducts(product, RELATED_PRODUCTS_LIMIT + together.length)
+        .filter(p => !together.some(t => t.product.sku === p.sku))
+        .slice(0, RELATED_PRODUCTS_LIMIT);
+    return `
+        <p><a href="${product.promo ? 'promos.html' : `catalog.html#${encodeURIComponent(product.category)}`}" class="order-back-link">&larr; Back to ${product.promo ? 'promotions' : 'the catalog'}</a></p>
+        <div class="product-detail" data-sku="${escapeHtml(product.sku)}">
+            ${renderProductGallery(product)}
+            <div class="product-detail-info">
+                ${product.badge ? `<span class="product-detail-badge">${escapeHtml(product.badge)}</span>` : ''}
+                <h1 class="product-detail-name">${escapeHtml(product.name)} ${renderWishlistToggle(product.sku)}</h1>
+                <div id="product-detail-rating"></div>
+                ${priceHtml}
+                ${renderPriceTierTable(product)}
+                ${stockHtml}
+                <p class="product-detail-description">${escapeHtml(product.description || '')}</p>
+                ${stockState === 'out' ? '' : `
+                <div class="product-detail-buy">
+                    <div class="qty-stepper">
+                        <button type="button" class="qty-step" data-step="-1" aria-label="Decrease quantity">&minus;</button>
+                        <input type="number" id="product-detail-qty" value="1" min="1" max="${stock === Infinity ? '' : stock}" aria-label="Quantity">
+                        <button type="button" class="qty-step" data-step="1" aria-label="Increase quantity">+</button>
+                    </div>
+                    <button type="button" class="add-to-cart-btn product-detail-add">Add to cart</button>
+                </div>
+                <p class="product-detail-line-total" id="product-detail-line-total"></p>`}
+                ${renderSubscribeBox(product.sku)}
+                <h2 class="product-detail-heading">Specifications</h2>
+                ${renderProductSpecs(product)}
+                ${getCompatiblePrinters(product.sku).length ? '<p class="product-detail-share">Not sure it fits? <a href="printers.html">Find the ink and toner for your printer</a></p>' : ''}
+                <p class="product-detail-share">Link to this product: <a href="${escapeHtml(getProductUrl(product.sku))}">${escapeHtml(getProductUrl(product.sku))}</a></p>
+            </div>
+        </div>
+        <section class="product-reviews" id="product-reviews"></section>
+        ${renderFrequentlyBoughtTogether(together)}
+        ${related.length ? `
+        <h2 class="section-title">RELATED PRODUCTS</h2>
+        <div class="product-grid product-related">${related.map((p, i) => renderProductCard(p, i)).join('')}</div>` : ''}
+    `;
+}
 
-    const nav = document.querySelector('.main-nav ul');
+// Quantity from the selector, kept between 1 and the stock left
+function getProductDetailQuantity(input, sku) {
+    const max = getStock(sku);
+    const qty = Math.floor(Number(input.value)) || 1;
+    return Math.max(1, Math.min(qty, max));
+}
 
-    if (!nav) return;
+function updateProductDetailLineTotal(product) {
+    const input = document.getElementById('product-detail-qty');
+    const out = document.getElementById('product-detail-line-total');
+    if (!input || !out) return;
+    const qty = getProductDetailQuantity(input, product.sku);
+    const unit = getUnitPrice(product.sku, qty);
+    out.textContent = qty > 1 ? `${qty} × ${formatPrice(unit)} = ${formatPrice(unit * qty)}` : '';
+}
+
+function renderProductDetailPage() {
+    const container = document.getElementById('product-detail-content');
+    if (!container) return;
+    const sku = new URLSearchParams(window.location.search).get('id');
+    const product = getProductBySku(sku);
+    if (!product) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>${sku ? `We couldn't find product ${escapeHtml(sku)}.` : 'No product selected.'}</h2>
+                <p><a href="catalog.html" class="shop-now-btn">Browse the catalog</a></p>
+            </div>`;
+        return;
+    }
+    document.title = `OffiStation - ${product.name}`;
+    recordProductView(product.sku);
+    container.innerHTML = renderProductDetail(product);
+    renderProductReviews(product);
+    updateProductDetailLineTotal(product);
+
+    if (container.dataset.handlersAttached) return;
+    container.addEventListener('click', (e) => {
+        const thumb = e.target.closest && e.target.closest('.product-gallery-thumb');
+        if (thumb) {
+            document.getElementById('product-gallery-image').src = thumb.dataset.src;
+            container.querySelectorAll('.product-gallery-thumb').forEach(t => t.classList.toggle('active', t === thumb));
+            return;
+        }
+        const input = document.getElementById('product-detail-qty');
+        const step = e.target.closest && e.target.closest('.qty-step');
+        if (step && input) {
+            input.value = getProductDetailQuantity({ value: (Number(input.value) || 1) + Number(step.dataset.step) }, product.sku);
+            updateProductDetailLineTotal(product);
+            return;
+        }
+        const addBtn = e.target.closest && e.target.closest('.product-detail-add');
+        if (addBtn && input) {
+            const qty = getProductDetailQuantity(input, product.sku);
+            const added = addItemToCart(productToCartItem(product, qty));
+            if (!added) {
+                const stock = getStock(product.sku);
+                showToast(stock > 0 ? `Only ${stock} in stock — all of them are in your cart` : 'Sorry, this item is out of stock');
+                return;
+            }
+            showToast(added < qty ? `Added ${added} of ${qty} — that is all we have in stock` : `Added ${added} to cart!`, added < qty ? 2200 : 900);
+        }
+    });
+    container.addEventListener('input', (e) => {
+        if (e.target.id === 'product-detail-qty') updateProductDetailLineTotal(product);
+    });
+    container.addEventListener('change', (e) => {
+        if (e.target.id === 'product-detail-qty') { e.target.value = getProductDetailQuantity(e.target, product.sku); updateProductDetailLineTotal(product); }
+    });
+    container.dataset.handlersAttached = '1';
+}
+
+// ================= RATINGS & REVIEWS =================
+// Customers who bought a product can rate it 1–5 stars and write a review; one review per
+// account and product, and writing again replaces it. Reviews are shared by every visitor
+// and kept under `os_reviews` as
+// [{ id, sku, username, displayName, rating, text, createdAt, updatedAt, votes: { [username]: 1 | -1 } }].
+// A promo listing shares the reviews of its regular product (`baseSku`).
+
+const REVIEW_TEXT_MIN = 10;
+const REVIEW_TEXT_MAX = 2000;
+const REVIEW_SORTS = { helpful: 'Most helpful', newest: 'Newest', highest: 'Highest rating', lowest: 'Lowest rating' };
+
+// SKU reviews are filed under
+function getReviewSku(sku) {
+    const product = getProductBySku(sku);
+    return product ? (product.baseSku || product.sku) : String(sku || '').toLowerCase();
+}
+
+function getAllReviews() {
+    try { return JSON.parse(localStorage.getItem('os_reviews')) || []; } catch (e) { return []; }
+}
+
+function saveAllReviews(reviews) {
+    try { localStorage.setItem('os_reviews', JSON.stringify(reviews)); } catch (e) {}
+}
+
+function getProductReviews(sku) {
+    const key = getReviewSku(sku);
+    return getAllReviews().filter(r => r.sku === key);
+}
+
+// { average (0 without reviews), count, distribution: { 5: n, 4: n, ... } }
+function getRatingSummary(sku) {
+    const reviews = getProductReviews(sku);
+    const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    reviews.forEach(r => { distribution[r.rating] += 1; });
+    const total = reviews.reduce((s, r) => s + r.rating, 0);
+    return { average: reviews.length ? total / reviews.length : 0, count: reviews.length, distribution };
+}
+
+// Did this account order the product (or a promo listing of it)? Cancelled orders do not count.
+function hasPurchasedProduct(username, sku) {
+    const key = getReviewSku(sku);
+    return getOrdersForUser(username).some(o => o.status !== 'cancelled' && (o.items || []).some(i => getReviewSku(i.id) === key));
+}
+
+// Returns null when the signed-in customer may review the product, otherwise the reason
+function getReviewIneligibility(sku) {
+    const username = getCurrentUsername();
+    if (!username) return 'Sign in to review this product.';
+    if (!hasPurchasedProduct(username, sku)) return 'Only customers who bought this product can review it.';
+    return null;
+}
+
+// "Ann D." from the account's full name, or the username
+function getReviewerName(account) {
+    const parts = String(account.fullName || '').trim().split(/\s+/).filter(Boolean);
+    if (!parts.length) return account.username;
+    return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.` : parts[0];
+}
+
+const REVIEW_FIELD_VALIDATORS = {
+    reviewRating: v => /^[1-5]$/.test(String(v)) ? null : 'Choose a rating from 1 to 5 stars.',
+    reviewText: v => {
+        const text = String(v || '').trim();
+        if (text.length < REVIEW_TEXT_MIN) return `Tell other customers a bit more (at least ${REVIEW_TEXT_MIN} characters).`;
+        if (text.length > REVIEW_TEXT_MAX) return `Keep your review under ${REVIEW_TEXT_MAX} characters.`;
+        return null;
+    }
+};
+
+// Save the signed-in customer's review. Returns { ok, review, updated } or { ok: false, message, errors }.
+function submitReview(sku, { rating, text }) {
+    const reason = getReviewIneligibility(sku);
+    if (reason) return { ok: false, message: reason, errors: {} };
+    const errors = {};
+    Object.keys(REVIEW_FIELD_VALIDATORS).forEach(id => {
+        const problem = REVIEW_FIELD_VALIDATORS[id](id === 'reviewRating' ? rating : text);
+        if (problem) errors[id] = problem;
+    });
+    if (Object.keys(errors).length) return { ok: false, message: 'Please check your review.', errors };
+
+    const account = getCurrentAccount();
+    const key = getReviewSku(sku);
+    const reviews = getAllReviews();
+    const existing = reviews.find(r => r.sku === key && r.username === account.username);
+    const now = new Date().toISOString();
+    const review = {
+        id: existing ? existing.id : 'rev-' + Date.now().toString(36),
+        sku: key,
+        username: account.username,
+        displayName: getReviewerName(account),
+        rating: Number(rating),
+        text: String(text).trim(),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        votes: existing ? existing.votes : {}
+    };
+    saveAllReviews(existing ? reviews.map(r => (r.id === existing.id ? review : r)) : [review, ...reviews]);
+    return { ok: true, review, updated: !!existing };
+}
+
+function deleteReview(id) {
+    const username = getCurrentUsername();
+    saveAllReviews(getAllReviews().filter(r => !(r.id === id && r.username === username)));
+}
+
+// Vote a review helpful (1) or not helpful (-1); voting the same way again takes the vote back.
+// Returns null on success, otherwise the reason.
+function voteReview(id, value) {
+    const username = getCurrentUsername();
+    if (!username) return 'Sign in to vote on reviews.';
+    const reviews = getAllReviews();
+    const review = reviews.find(r => r.id === id);
+    if (!review) return 'This review was removed.';
+    if (review.username === username) return "You can't vote on your own review.";
+    const votes = { ...(review.votes || {}) };
+    if (votes[username] === value) delete votes[username];
+    else votes[username] = value;
+    saveAllReviews(reviews.map(r => (r.id === id ? { ...r, votes } : r)));
+    return null;
+}
+
+function getReviewVoteCounts(review) {
+    const values = Object.values(review.votes || {});
+    return { helpful: values.filter(v => v > 0).length, notHelpful: values.filter(v => v < 0).length };
+}
+
+function sortReviews(reviews, mode = 'helpful') {
+    const newest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    const score = r => { const c = getReviewVoteCounts(r); return c.helpful - c.notHelpful; };
+    const compare = {
+        helpful: (a, b) => score(b) - score(a) || newest(a, b),
+        newest,
+        highest: (a, b) => b.rating - a.rating || newest(a, b),
+        lowest: (a, b) => a.rating - b.rating || newest(a, b)
+    }[mode] || newest;
+    return [...reviews].sort(compare);
+}
+
+// Five stars filled to the rating (fractions shown as a partly filled star)
+function renderStars(rating) {
+    const pct = Math.max(0, Math.min(100, (rating / 5) * 100));
+    return `<span class="stars" role="img" aria-label="${rating.toFixed(1)} out of 5 stars"><span class="stars-fill" style="width:${pct.toFixed(0)}%">★★★★★</span>★★★★★</span>`;
+}
+
+// Average and count for product cards (nothing until the first review)
+function renderRatingSummary(sku) {
+    const { average, count } = getRatingSummary(sku);
+    if (!count) return '';
+    return `<a href="${escapeHtml(getProductUrl(sku))}#product-reviews" class="rating-summary">${renderStars(average)} <span>${average.toFixed(1)} (${count})</span></a>`;
+}
+
+function renderReviewItem(review) {
+    const mine = review.username === getCurrentUsername();
+    const myVote = (review.votes || {})[getCurrentUsername()];
+    const counts = getReviewVoteCounts(review);
+    return `
+        <li class="review-item" data-id="${escapeHtml(review.id)}">
+            <div class="review-item-header">
+                ${renderStars(review.rating)}
+                <strong>${escapeHtml(review.displayName)}</strong>
+                <span class="review-verified">Verified purchase</span>
+                <span class="order-row-date">${escapeHtml(formatOrderDate(review.createdAt))}${review.updatedAt !== review.createdAt ? ' (edited)' : ''}</span>
+            </div>
+            <p class="review-text">${escapeHtml(review.text)}</p>
+            <div class="review-votes">
+                ${mine
+                    ? `<button type="button" class="order-view-btn review-delete-btn">Delete my review</button> <small>${counts.helpful} found this helpful</small>`
+                    : `<span>Was this helpful?</span>
+                <button type="button" class="review-vote-btn${myVote === 1 ? ' active' : ''}" data-vote="1" aria-pressed="${myVote === 1}"><i class="far fa-thumbs-up" aria-hidden="true"></i> Yes (${counts.helpful})</button>
+                <button type="button" class="review-vote-btn${myVote === -1 ? ' active' : ''}" data-vote="-1" aria-pressed="${myVote === -1}"><i class="far fa-thumbs-down" aria-hidden="true"></i> No (${counts.notHelpful})</button>`}
+            </div>
+        </li>`;
+}
+
+function renderReviewForm(product) {
+    const reason = getReviewIneligibility(product.sku);
+    if (reason) {
+        return getCurrentUsername()
+            ? `<p class="cart-templates-hint">${escapeHtml(reason)}</p>`
+            : `<p class="cart-templates-hint"><a href="login.html?return=${encodeURIComponent(getProductUrl(product.sku))}">Sign in</a> to review a product you bought.</p>`;
+    }
+    const mine = getProductReviews(product.sku).find(r => r.username === getCurrentUsername());
+    return `
+        <form class="review-form" id="review-form" novalidate>
+            <h3>${mine ? 'Edit your review' : 'Write a review'}</h3>
+            <fieldset class="review-rating-input">
+                <legend>Your rating</legend>
+                ${[5, 4, 3, 2, 1].map(n => `<input type="radio" name="reviewRating" id="review-rating-${n}" value="${n}"${mine && mine.rating === n ? ' checked' : ''}><label for="review-rating-${n}" title="${n} star${n > 1 ? 's' : ''}">★</label>`).join('')}
+            </fieldset>
+            <div class="error-message" id="error-reviewRating"></div>
+            <label for="reviewText">Your review</label>
+            <textarea id="reviewText" name="reviewText" rows="4" maxlength="${REVIEW_TEXT_MAX}" placeholder="What did you like or dislike? How did you use it?">${mine ? escapeHtml(mine.text) : ''}</textarea>
+            <div class="error-message" id="error-reviewText"></div>
+            <button type="submit" class="reorder-btn">${mine ? 'Update review' : 'Post review'}</button>
+        </form>`;
+}
+
+// Reviews block of the product page (#product-reviews)
+function renderProductReviews(product, sort) {
+    const section = document.getElementById('product-reviews');
+    if (!section) return;
+    const mode = sort || section.dataset.sort || 'helpful';
+    section.dataset.sort = mode;
+    const summary = getRatingSummary(product.sku);
+    const reviews = sortReviews(getProductReviews(product.sku), mode);
+    const headline = document.getElementById('product-detail-rating');
+    if (headline) headline.innerHTML = renderRatingSummary(product.sku);
+    section.innerHTML = `
+        <h2 class="section-title">RATINGS &amp; REVIEWS</h2>
+        <div class="reviews-layout">
+            <div class="reviews-summary">
+                ${summary.count ? `
+                <p class="reviews-average">${summary.average.toFixed(1)} <small>out of 5</small></p>
+                ${renderStars(summary.average)}
+                <p class="order-row-date">${summary.count} review${summary.count === 1 ? '' : 's'}</p>
+                <ul class="rating-bars">${[5, 4, 3, 2, 1].map(n => `
+                    <li><span>${n}★</span><span class="rating-bar"><span style="width:${((summary.distribution[n] / summary.count) * 100).toFixed(0)}%"></span></span><span>${summary.distribution[n]}</span></li>`).join('')}
+                </ul>` : '<p class="cart-templates-hint">No reviews yet.</p>'}
+                ${renderReviewForm(product)}
+            </div>
+            <div class="reviews-list-wrapper">
+                ${reviews.length ? `
+                <label class="reviews-sort">Sort by
+                    <select id="review-sort">${Object.entries(REVIEW_SORTS).map(([value, label]) => `<option value="${value}"${value === mode ? ' selected' : ''}>${label}</option>`).join('')}</select>
+                </label>
+                <ul class="review-list">${reviews.map(renderReviewItem).join('')}</ul>` : ''}
+            </div>
+        </div>
+    `;
+
+    if (section.dataset.handlersAttached) return;
+    section.addEventListener('change', (e) => {
+        if (e.target.id === 'review-sort') renderProductReviews(product, e.target.value);
+    });
+    section.addEventListener('submit', (e) => {
+        if (e.target.id !== 'review-form') return;
+        e.preventDefault();
+        const form = e.target;
+        const checked = form.querySelector('input[name="reviewRating"]:checked');
+        const result = submitReview(product.sku, { rating: checked ? checked.value : '', text: form.querySelector('#reviewText').value });
+        Object.keys(REVIEW_FIELD_VALIDATORS).forEach(id => {
+            const box = form.querySelector(`#error-${id}`);
+            if (box) box.textContent = result.errors && result.errors[id] ? result.errors[id] : '';
+        });
+        if (!result.ok) { if (!result.errors || !Object.keys(result.errors).length) showToast(result.message); return; }
+        showToast(result.updated ? 'Your review was updated' : 'Thanks for your review!');
+        renderProductReviews(product);
+    });
+    section.addEventListener('click', (e) => {
+        const item = e.target.closest && e.target.closest('.review-item');
+        if (!item) return;
+        const voteBtn = e.target.closest('.review-vote-btn');
+        if (voteBtn) {
+            const problem = voteReview(item.dataset.id, Number(voteBtn.dataset.vote));
+            if (problem) { showToast(problem); return; }
+            renderProductReviews(product);
+        } else if (e.target.closest('.review-delete-btn')) {
+            if (!confirm('Delete your review?')) return;
+            deleteReview(item.dataset.id);
+            showToast('Your review was deleted');
+            renderProductReviews(product);
+        }
+    });
+    section.dataset.handlersAttached = '1';
+}
+
+// ================= RECOMMENDATIONS =================
+// "Frequently bought together" on the cart and product pages ranks products by how many placed
+// orders (everyone's, from `os_orders`) contain them alongside the items shown, then tops up
+// from the hand-picked `pairsWith` lists in products.js. Promo listings count as their
+// regular product. "Recently viewed" on the catalog remembers the last product pages opened,
+// under `os_recently_viewed` (guests) or `os_recently_viewed:<username>` as [sku, ...] newest first.
+
+const FREQUENTLY_BOUGHT_LIMIT = 4;
+const FREQUENTLY_BOUGHT_MIN_ORDERS = 2; // orders a pair must share before it counts
+const RECENTLY_VIEWED_LIMIT = 8;
+
+// Regular catalog SKUs for a list of SKUs, promo listings mapped to the product they are a deal on
+function getRecommendationBasket(skus) {
+    return new Set(skus.filter(sku => getProductBySku(sku)).map(getReviewSku));
+}
+
+// { [sku]: number of orders containing it together with any of `skus` }
+function getCoPurchaseCounts(skus) {
+    const basket = getRecommendationBasket(skus);
+    const counts = {};
+    getOrders().forEach(order => {
+        const inOrder = getRecommendationBasket((order.items || []).map(i => i.id));
+        if (![...basket].some(sku => inOrder.has(sku))) return;
+        inOrder.forEach(sku => { if (!basket.has(sku)) counts[sku] = (counts[sku] || 0) + 1; });
+    });
+    return counts;
+}
+
+// Suggestions for a set of SKUs (cart lines or the product on screen): [{ product, orders }]
+// where `orders` is the co-purchase count (0 for hand-picked pairings). Skips what is already
+// in the set and anything out of stock.
+function getFrequentlyBoughtTogether(skus, limit = FREQUENTLY_BOUGHT_LIMIT) {
+    const basket = getRecommendationBasket(skus);
+    const counts = getCoPurchaseCounts(skus);
+    const fromOrders = Object.keys(counts)
+        .filter(sku => counts[sku] >= FREQUENTLY_BOUGHT_MIN_ORDERS)
+        .sort((a, b) => counts[b] - counts[a]);
+    const curated = [...basket].flatMap(sku => (getProductBySku(sku).pairsWith || []));
+    const seen = new Set();
+    return [...fromOrders, ...curated]
+        .filter(sku => !basket.has(sku) && !seen.has(sku) && seen.add(sku))
+        .map(sku => getProductBySku(sku))
+        .filter(product => product && !product.promo && getStock(product.sku) > 0)
+        .slice(0, limit)
+        .map(product => ({ product, orders: counts[product.sku] || 0 }));
+}
+
+function renderFrequentlyBoughtTogether(suggestions, title = 'FREQUENTLY BOUGHT TOGETHER') {
+    if (!suggestions.length) return '';
+    return `
+        <h2 class="section-title">${escapeHtml(title)}</h2>
+        <div class="product-grid product-suggestions">${suggestions.map(({ product }, i) => renderProductCard(product, i)).join('')}</div>`;
+}
+
+// Cart page suggestions (#cart-recommendations), refreshed with the cart
+function renderCartRecommendations(cart) {
+    const box = document.getElementById('cart-recommendations');
+    if (!box) return;
+    box.innerHTML = cart.length ? renderFrequentlyBoughtTogether(getFrequentlyBoughtTogether(cart.map(i => i.id)), 'YOU MAY ALSO NEED') : '';
+    if (box.dataset.handlersAttached) return;
+    box.addEventListener('click', (e) => {
+        if (!(e.target.closest && e.target.closest('.add-to-cart-btn'))) return;
+        handleAddToCartClick(e);
+        renderCart();
+    });
+    box.dataset.handlersAttached = '1';
+}
+
+function getRecentlyViewedStorageKey(username = getCurrentUsername()) {
+    return username ? 'os_recently_viewed:' + username : 'os_recently_viewed';
+}
+
+function getRecentlyViewed() {
+    try { return (JSON.parse(localStorage.getItem(getRecentlyViewedStorageKey())) || []).filter(sku => getProductBySku(sku)); } catch (e) { return []; }
+}
+
+function recordProductView(sku) {
+    const list = [sku, ...getRecentlyViewed().filter(s => s !== sku)].slice(0, RECENTLY_VIEWED_LIMIT);
+    try { localStorage.setItem(getRecentlyViewedStorageKey(), JSON.stringify(list)); } catch (e) {}
+}
+
+function clearRecentlyViewed() {
+    try { localStorage.removeItem(getRecentlyViewedStorageKey()); } catch (e) {}
+}
+
+// "Recently viewed" strip on the catalog page (#recently-viewed), hidden until a product is opened
+function renderRecentlyViewed() {
+    const strip = document.getElementById('recently-viewed');
+    if (!strip) return;
+    const products = getRecentlyViewed().map(getProductBySku);
+    strip.hidden = products.length === 0;
+    strip.innerHTML = products.length ? `
+        <div class="recently-viewed-header">
+            <h2 class="recently-viewed-title">Recently viewed</h2>
+            <button type="button" class="clear-filters-btn" id="clear-recently-viewed">Clear</button>
+        </div>
+        <div class="recently-viewed-list">${products.map(p => `
+            <a href="${escapeHtml(getProductUrl(p.sku))}" class="recent-card">
+                <img src="${escapeHtml((p.images && p.images[0]) || '')}" alt="${escapeHtml(p.alt || p.name)}">
+                <span class="recent-card-name">${escapeHtml(p.name)}</span>
+                <span class="recent-card-price">${formatPrice(p.price)}</span>
+            </a>`).join('')}</div>` : '';
+    if (strip.dataset.handlersAttached) return;
+    strip.addEventListener('click', (e) => {
+        if (e.target.id !== 'clear-recently-viewed') return;
+        clearRecentlyViewed();
+        renderRecentlyViewed();
+    });
+    strip.dataset.handlersAttached = '1';
+}
+
+// ================= PRINTER FINDER =================
+// printers.html: pick a printer (brand, then model) and see the ink, toner and paper that fit it,
+// from PRINTER_BRANDS in printers.js. Signed-in users can keep "my office printers" under
+// `os_my_printers:<username>` as [{ id, addedAt }] to pick them in one click on later visits.
+
+function getPrinterBrands() {
+    return (typeof PRINTER_BRANDS !== 'undefined' && Array.isArray(PRINTER_BRANDS)) ? PRINTER_BRANDS : [];
+}
+
+// Every model with its brand: [{ id, name, type, consumables, brand, label }]
+function getPrinterModels() {
+    return getPrinterBrands().flatMap(b => b.models.map(m => ({ ...m, brand: b.name, label: `${b.name} ${m.name}` })));
+}
+
+function getPrinterModel(id) {
+    return getPrinterModels().find(m => m.id === id) || null;
+}
+
+// Printers a product fits (promo listings use their regular product's entries)
+function getCompatiblePrinters(sku) {
+    const product = getProductBySku(sku);
+    if (!product) return [];
+    const key = product.baseSku || product.sku;
+    return getPrinterModels().filter(m => m.consumables.includes(key));
+}
+
+// Products that fit a printer: the regular listings, then any promo deals on them
+function getPrinterConsumables(modelId) {
+    const model = getPrinterModel(modelId);
+    if (!model) return [];
+    const regular = model.consumables.map(getProductBySku).filter(Boolean);
+    return [...regular, ...getPromoProducts().filter(p => model.consumables.includes(p.baseSku))];
+}
+
+function getMyPrintersStorageKey(username = getCurrentUsername()) {
+    return username ? 'os_my_printers:' + username : null;
+}
+
+// Saved printers that are still in the data set
+function getMyPrinters() {
+    const key = getMyPrintersStorageKey();
+    if (!key) return [];
+    try { return (JSON.parse(localStorage.getItem(key)) || []).filter(p => getPrinterModel(p.id)); } catch (e) { return []; }
+}
+
+function saveMyPrinters(list) {
+    const key = getMyPrintersStorageKey();
+    if (!key) return;
+    try { localStorage.setItem(key, JSON.stringify(list || [])); } catch (e) {}
+}
+
+function isMyPrinter(id) {
+    return getMyPrinters().some(p => p.id === id);
+}
+
+function addMyPrinter(id) {
+    if (!getPrinterModel(id) || isMyPrinter(id)) return;
+    saveMyPrinters([...getMyPrinters(), { id, addedAt: new Date().toISOString() }]);
+}
+
+function removeMyPrinter(id) {
+    saveMyPrinters(getMyPrinters().filter(p => p.id !== id));
+}
+
+function renderMyPrinters(selectedId) {
+    const box = document.getElementById('my-printers');
+    if (!box) return;
+    if (!isLoggedIn()) {
+        box.innerHTML = `<p class="cart-templates-hint"><a href="login.html?return=${encodeURIComponent('printers.html')}">Sign in</a> to save your office printers for next time.</p>`;
+        return;
+    }
+    const mine = getMyPrinters().map(p => getPrinterModel(p.id));
+    box.innerHTML = mine.length ? `
+        <span class="my-printers-label">My office printers:</span>
+        ${mine.map(m => `
+            <span class="my-printer-chip${m.id === selectedId ? ' active' : ''}">
+                <button type="button" class="my-printer-pick" data-id="${escapeHtml(m.id)}">${escapeHtml(m.label)}</button>
+                <button type="button" class="my-printer-remove" data-id="${escapeHtml(m.id)}" aria-label="Remove ${escapeHtml(m.label)} from my printers">&times;</button>
+            </span>`).join('')}` : '<p class="cart-templates-hint">Save the printers in your office to find their ink and toner in one click next time.</p>';
+}
+
+function renderPrinterResults(modelId) {
+    const box = document.getElementById('printer-results');
+    if (!box) return;
+    const model = getPrinterModel(modelId);
+    if (!model) { box.innerHTML = ''; return; }
+    const products = getPrinterConsumables(model.id);
+    const saved = isMyPrinter(model.id);
+    box.innerHTML = `
+        <div class="printer-results-header">
+            <h2 class="section-title">${escapeHtml(model.label)} <small>${model.type === 'laser' ? 'Laser' : 'Inkjet'}</small></h2>
+            <button type="button" class="order-view-btn" id="save-printer-btn" data-id="${escapeHtml(model.id)}"${saved ? ' disabled' : ''}>${saved ? 'Saved to my printers' : 'Save to my printers'}</button>
+        </div>
+        ${products.length
+            ? `<div class="product-grid">${products.map((p, i) => renderProductCard(p, i)).join('')}</div>`
+            : `<div class="orders-empty"><h2>We don't stock consumables for this printer yet.</h2><p>Email <a href="mailto:info@offistation.com">info@offistation.com</a> and we'll source them for you.</p></div>`}
+    `;
+}
+
+// Select a printer in the brand / model pickers and show what fits it
+function selectPrinter(modelId) {
+    const model = getPrinterModel(modelId);
+    const brandSelect = document.getElementById('printer-brand');
+    const modelSelect = document.getElementById('printer-model');
+    if (brandSelect && modelSelect) {
+        brandSelect.value = model ? model.brand : brandSelect.value;
+        fillPrinterModelSelect(modelSelect, brandSelect.value);
+        modelSelect.value = model ? model.id : '';
+    }
+    renderPrinterResults(modelId);
+    renderMyPrinters(modelId);
+    try { history.replaceState(null, '', model ? `printers.html?printer=${encodeURIComponent(model.id)}` : 'printers.html'); } catch (e) {}
+}
+
+function fillPrinterModelSelect(select, brandName) {
+    const brand = getPrinterBrands().find(b => b.name === brandName);
+    select.innerHTML = '<option value="">Choose a model</option>' + (brand ? brand.models.map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name)}</option>`).join('') : '');
+    select.disabled = !brand;
+}
+
+function renderPrinterFinderPage() {
+    const container = document.getElementById('printer-finder-content');
+    if (!container) return;
+    container.innerHTML = `
+        <div class="printer-finder-controls">
+            <select id="printer-brand" aria-label="Printer brand">
+                <option value="">Choose a brand</option>
+                ${getPrinterBrands().map(b => `<option value="${escapeHtml(b.name)}">${escapeHtml(b.name)}</option>`).join('')}
+            </select>
+            <select id="printer-model" aria-label="Printer model" disabled><option value="">Choose a model</option></select>
+        </div>
+        <div id="my-printers" class="my-printers"></div>
+        <div id="printer-results"></div>
+    `;
+
+    container.addEventListener('change', (e) => {
+        if (e.target.id === 'printer-brand') {
+            fillPrinterModelSelect(document.getElementById('printer-model'), e.target.value);
+            renderPrinterResults(null);
+        } else if (e.target.id === 'printer-model') {
+            selectPrinter(e.target.value);
+        }
+    });
+    container.addEventListener('click', (e) => {
+        const target = e.target.closest ? e.target : null;
+        if (!target) return;
+        if (target.closest('.add-to-cart-btn')) { handleAddToCartClick(e); return; }
+        const pick = target.closest('.my-printer-pick');
+        if (pick) { selectPrinter(pick.dataset.id); return; }
+        const remove = target.closest('.my-printer-remove');
+        if (remove) {
+            removeMyPrinter(remove.dataset.id);
+            showToast('Removed from my printers');
+            selectPrinter(document.getElementById('printer-model').value);
+            return;
+        }
+        const save = target.closest('#save-printer-btn');
+        if (save) {
+            if (!isLoggedIn()) { showToast('Sign in to save your printers'); requireLogin(window.location.href); return; }
+            addMyPrinter(save.dataset.id);
+            showToast('Saved to my printers');
+            selectPrinter(save.dataset.id);
+        }
+    });
+
+    // ?printer=<id> from a shared link, otherwise the first saved printer
+    const requested = new URLSearchParams(window.location.search).get('printer');
+    const first = getMyPrinters()[0];
+    selectPrinter(getPrinterModel(requested) ? requested : (first ? first.id : null));
+}
+
+// ================= ACCOUNTS =================
+// Local account registry. Passwords are never stored: each account keeps a random
+// salt and a PBKDF2-SHA256 hash computed with Web Crypto. After MAX_LOGIN_ATTEMPTS
+// wrong passwords in a row the account is locked for LOCKOUT_MINUTES.
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_HASH_ITERATIONS = 100000;
+
+// Every account signs up as a 'customer'; 'admin' (admin.html) is only granted with setAccountRole()
+const ACCOUNT_ROLES = ['customer', 'admin'];
+
+// Registered accounts: [{ username, email, fullName, authMethod, role, salt, passwordHash, iterations, createdAt, failedAttempts, lockedUntil }]
+function getAccounts() {
+    try { return JSON.parse(localStorage.getItem('os_users')) || []; } catch (e) { return []; }
+}
+
+function saveAccounts(accounts) {
+    try { localStorage.setItem('os_users', JSON.stringify(accounts || [])); } catch (e) {}
+}
+
+// Find an account by username or email (case-insensitive)
+function findAccount(identifier) {
+    const key = String(identifier || '').trim().toLowerCase();
+    if (!key) return null;
+    return getAccounts().find(a => a.username.toLowerCase() === key || (a.email && a.email.toLowerCase() === key)) || null;
+}
+
+// Write back changes to a single account, matched by username
+function updateAccount(account) {
+    const accounts = getAccounts();
+    const idx = accounts.findIndex(a => a.username === account.username);
+    if (idx >= 0) accounts[idx] = account;
+    else accounts.push(account);
+    saveAccounts(accounts);
+}
+
+// Staff setup step: have the person register as usual, then run
+//   setAccountRole('<username or email>', 'admin')
+// in the browser console on the shop. Use 'customer' to take the back office away again.
+// Returns false when there is no such account or role.
+function setAccountRole(identifier, role) {
+    const account = findAccount(identifier);
+    if (!account || !ACCOUNT_ROLES.includes(role)) return false;
+    account.role = role;
+    updateAccount(account);
+    return true;
+}
+
+function bytesToHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+}
+
+function isCryptoAvailable() {
+    return !!(window.crypto && window.crypto.subtle && window.crypto.getRandomValues);
+}
+
+// Derive a hex PBKDF2-SHA256 hash of the password with the given hex salt
+async function hashPassword(password, saltHex, iterations = PASSWORD_HASH_ITERATIONS) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt: hexToBytes(saltHex), iterations, hash: 'SHA-256' }, key, 256);
+    return bytesToHex(bits);
+}
+
+// Returns null when the sign-up details are acceptable, otherwise a customer-facing reason
+function validateRegistration({ fullName, email, username, password, authMethod = 'password' }) {
+    if (!fullName || !email || !username) return 'Please fill in all fields.';
+    if (!isValidEmail(email)) return 'Please enter a valid email address.';
+    if (!/^[A-Za-z0-9._-]{3,30}$/.test(username)) return 'Usernames must be 3-30 characters using letters, numbers, dots, dashes or underscores.';
+    if (authMethod === 'password' && (!password || password.length < PASSWORD_MIN_LENGTH)) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`;
+    const accounts = getAccounts();
+    if (accounts.some(a => a.username.toLowerCase() === username.toLowerCase())) return 'That username is already taken.';
+    if (accounts.some(a => a.email && a.email.toLowerCase() === email.toLowerCase())) return 'An account with that email already exists.';
+    return null;
+}
+
+// Create an account. Resolves to { ok, message, account }.
+async function registerAccount({ fullName, email, username, password, authMethod = 'password' }) {
+    fullName = String(fullName || '').trim();
+    email = String(email || '').trim();
+    username = String(username || '').trim();
+    const problem = validateRegistration({ fullName, email, username, password, authMethod });
+    if (problem) return { ok: false, message: problem };
+
+    const account = { username, email, fullName, authMethod, role: 'customer', salt: null, passwordHash: null, iterations: null, createdAt: new Date().toISOString(), failedAttempts: 0, lockedUntil: null };
+    if (authMethod === 'password') {
+        if (!isCryptoAvailable()) return { ok: false, message: 'Your browser cannot create a secure password here. Please use a modern browser over HTTPS.' };
+        account.salt = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+        account.iterations = PASSWORD_HASH_ITERATIONS;
+        account.passwordHash = await hashPassword(password, account.salt, account.iterations);
+    }
+    updateAccount(account);
+    return { ok: true, message: 'Account created', account };
+}
+
+// Check credentials and track failed attempts. Resolves to { ok, message, account }.
+async function verifyLogin(identifier, password, now = new Date()) {
+    if (!String(identifier || '').trim() || !password) return { ok: false, message: 'Please enter your username and password.' };
+    const account = findAccount(identifier);
+    if (!account) return { ok: false, message: 'No account found with that username or email.' };
+    if (!account.passwordHash) return { ok: false, message: 'This account was created with Google sign-up and has no password.' };
+
+    if (account.lockedUntil && now.getTime() < account.lockedUntil) {
+        const mins = Math.ceil((account.lockedUntil - now.getTime()) / 60000);
+        return { ok: false, message: `Too many failed attempts. Try again in ${mins} minute${mins === 1 ? '' : 's'}.` };
+    }
+    if (!isCryptoAvailable()) return { ok: false, message: 'Your browser cannot verify passwords here. Please use a modern browser over HTTPS.' };
+
+    const hash = await hashPassword(password, account.salt, account.iterations || PASSWORD_HASH_ITERATIONS);
+    if (hash !== account.passwordHash) {
+        account.failedAttempts = (account.failedAttempts || 0) + 1;
+        if (account.failedAttempts >= MAX_LOGIN_ATTEMPTS) {
+            account.failedAttempts = 0;
+            account.lockedUntil = now.getTime() + LOCKOUT_MINUTES * 60000;
+            updateAccount(account);
+            return { ok: false, message: `Too many failed attempts. Your account is locked for ${LOCKOUT_MINUTES} minutes.` };
+        }
+        updateAccount(account);
+        const left = MAX_LOGIN_ATTEMPTS - account.failedAttempts;
+        return { ok: false, message: `Incorrect password. ${left} attempt${left === 1 ? '' : 's'} left before your account is locked.` };
+    }
+
+    account.failedAttempts = 0;
+    account.lockedUntil = null;
+    updateAccount(account);
+    return { ok: true, message: 'Signed in', account };
+}
+
+// Mark the account as signed in on this browser and bring the guest cart along.
+// Returns the number of guest cart units merged into the account cart.
+function startSession(account) {
+    try { localStorage.setItem('os_current_user', account.username); } catch (e) {}
+    return mergeGuestCart(account.username);
+}
+
+// Signed-in account from the registry (null for guests or stale sessions)
+function getCurrentAccount() {
+    try {
+        const username = localStorage.getItem('os_current_user');
+        if (!username) return null;
+        return getAccounts().find(a => a.username === username) || null;
+    } catch (e) { return null; }
+}
+
+// ================= BUSINESS ACCOUNTS =================
+// Any account can add a company profile on business.html. It is stored on the account as
+//   business: { companyName, tin, billingAddress, authorisedBuyers: [names], requirePo, updatedAt }
+// With one signed in, checkout asks who in the company is ordering and takes a purchase order
+// number and cost-centre reference. These are stored on the order (`order.business`, together
+// with the company name, TIN and billing address) and printed on its invoice.
+
+// BIR TIN: 9 digits plus a 3- or 5-digit branch code (000 / 00000 for the head office).
+// Returns { ok, value: '123-456-789-000', message }.
+function normalizeTin(raw) {
+    const digits = String(raw || '').replace(/[\s-]/g, '');
+    if (!digits) return { ok: false, value: null, message: 'Enter the company TIN.' };
+    if (!/^\d+$/.test(digits) || ![9, 12, 14].includes(digits.length)) {
+        return { ok: false, value: null, message: 'A TIN has 9 digits plus a 3- or 5-digit branch code, e.g. 123-456-789-000.' };
+    }
+    const full = digits.length === 9 ? digits + '000' : digits;
+    return { ok: true, value: [full.slice(0, 3), full.slice(3, 6), full.slice(6, 9), full.slice(9)].join('-'), message: null };
+}
+
+// One name per line (or comma-separated), duplicates removed
+function parseBuyerList(text) {
+    return [...new Set(String(text || '').split(/[\n,]/).map(s => s.trim()).filter(Boolean))];
+}
+
+function getBusinessProfile(account = getCurrentAccount()) {
+    return account && account.business ? account.business : null;
+}
+
+function saveBusinessProfile({ companyName, tin, billingAddress, authorisedBuyers, requirePo }) {
+    const account = getCurrentAccount();
+    if (!account) return null;
+    account.business = {
+        companyName: companyName.trim(),
+        tin: normalizeTin(tin).value,
+        billingAddress: billingAddress.trim(),
+        authorisedBuyers: parseBuyerList(authorisedBuyers),
+        requirePo: !!requirePo,
+        updatedAt: new Date().toISOString()
+    };
+    updateAccount(account);
+    return account.business;
+}
+
+function removeBusinessProfile() {
+    const account = getCurrentAccount();
+    if (!account) return;
+    delete account.business;
+    updateAccount(account);
+}
+
+// Company profile fields (business.html) and the business fields at checkout.
+// Checked through validateCheckoutField(), like the address and payment fields.
+const BUSINESS_FIELD_VALIDATORS = {
+    companyName: v => v.length >= 2 ? null : 'Enter the registered company name.',
+    tin: v => normalizeTin(v).message,
+    billingAddress: v => v.length >= 10 ? null : 'Enter the billing address registered with the BIR.',
+    authorisedBuyers: v => parseBuyerList(v).length ? null : 'List at least one person who may order for the company.',
+    orderedBy: v => {
+        const profile = getBusinessProfile();
+        return profile && profile.authorisedBuyers.includes(v) ? null : 'Choose who is placing this order.';
+    },
+    poNumber: v => {
+        const profile = getBusinessProfile();
+        if (!v) return profile && profile.requirePo ? 'Your company requires a purchase order number on every order.' : null;
+        return /^[A-Za-z0-9][A-Za-z0-9 ./-]{0,29}$/.test(v) ? null : 'PO numbers have up to 30 letters, digits, spaces, dots, dashes or slashes.';
+    },
+    costCentre: v => !v || /^[A-Za-z0-9][A-Za-z0-9 ./-]{0,29}$/.test(v) ? null : 'Cost-centre references have up to 30 letters, digits, spaces, dots, dashes or slashes.'
+};
+
+const BUSINESS_CHECKOUT_FIELDS = ['orderedBy', 'poNumber', 'costCentre'];
+
+// Company and purchasing details for an order placed with this form (null for personal accounts)
+function getBusinessOrderDetails(form) {
+    const profile = getBusinessProfile();
+    if (!profile) return null;
+    const value = id => { const input = form.querySelector(`#${id}`); return input ? input.value.trim() : ''; };
+    return {
+        companyName: profile.companyName,
+        tin: profile.tin,
+        billingAddress: profile.billingAddress,
+        orderedBy: value('orderedBy'),
+        poNumber: value('poNumber') || null,
+        costCentre: value('costCentre') || null
+    };
+}
+
+// Show the business panel at checkout when a business account is signed in
+function setupBusinessCheckout(form) {
+    const panel = form.querySelector('#business-purchase');
+    if (!panel) return;
+    const profile = getBusinessProfile();
+    panel.hidden = !profile;
+    if (!profile) return;
+    const account = getCurrentAccount();
+    const company = panel.querySelector('#business-company');
+    if (company) company.textContent = `${profile.companyName} · TIN ${profile.tin}`;
+    const buyer = panel.querySelector('#orderedBy');
+    if (buyer) {
+        fillAddressSelect(buyer, 'Select a buyer', profile.authorisedBuyers);
+        if (account.fullName && profile.authorisedBuyers.includes(account.fullName)) buyer.value = account.fullName;
+    }
+    const poLabel = panel.querySelector('label[for="poNumber"]');
+    if (poLabel) poLabel.textContent = profile.requirePo ? 'Purchase Order (PO) Number' : 'Purchase Order (PO) Number (optional)';
+    BUSINESS_CHECKOUT_FIELDS.forEach(id => {
+        const input = form.querySelector(`#${id}`);
+        if (!input) return;
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => validateCheckoutField(form, id));
+        input.addEventListener('blur', () => validateCheckoutField(form, id));
+    });
+}
+
+// ================= Business Profile Page =================
+
+function renderBusinessProfilePage() {
+    const container = document.getElementById('business-content');
+    if (!container) return;
+
+    const account = getCurrentAccount();
+    if (!account) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>Sign in to set up a business account.</h2>
+                <p><a href="login.html?return=${encodeURIComponent('business.html')}" class="shop-now-btn">Sign In</a></p>
+            </div>`;
+        return;
+    }
+
+    const profile = getBusinessProfile(account) || { companyName: '', tin: '', billingAddress: '', authorisedBuyers: account.fullName ? [account.fullName] : [], requirePo: false };
+    const field = (id, label, control, hint = '') => `
+        <div class="form-group">
+            <label for="${id}">${label}</label>
+            ${control}
+            ${hint ? `<small class="form-hint">${hint}</small>` : ''}
+            <div class="error-message" id="error-${id}"></div>
+        </div>`;
+    container.innerHTML = `
+        <p class="business-intro">${getBusinessProfile(account)
+            ? 'Orders you place are billed to this company. Checkout asks for a PO number and cost centre.'
+            : 'Buying for a company? Add its details to get invoices in the company name with its TIN, and to add PO numbers and cost centres at checkout.'}</p>
+        <form id="business-profile-form" class="business-profile-form" novalidate>
+            ${field('companyName', 'Registered Company Name', `<input type="text" id="companyName" value="${escapeHtml(profile.companyName)}" autocomplete="organization">`)}
+            ${field('tin', 'TIN', `<input type="text" id="tin" value="${escapeHtml(profile.tin || '')}" placeholder="123-456-789-000" inputmode="numeric" maxlength="18">`, 'Include the branch code (000 for the head office).')}
+            ${field('billingAddress', 'Billing Address', `<textarea id="billingAddress" rows="3">${escapeHtml(profile.billingAddress)}</textarea>`)}
+            ${field('authorisedBuyers', 'Authorised Buyers', `<textarea id="authorisedBuyers" rows="4">${escapeHtml(profile.authorisedBuyers.join('\n'))}</textarea>`, 'One name per line. Checkout asks which of them is placing the order.')}
+            <label class="business-require-po"><input type="checkbox" id="requirePo"${profile.requirePo ? ' checked' : ''}> Require a PO number on every order</label>
+            <div class="business-actions">
+                <button type="submit" class="shop-now-btn">Save business profile</button>
+                ${getBusinessProfile(account) ? '<button type="button" class="order-view-btn" id="remove-business-btn">Remove business profile</button>' : ''}
+            </div>
+        </form>`;
+
+    const form = container.querySelector('#business-profile-form');
+    const ids = ['companyName', 'tin', 'billingAddress', 'authorisedBuyers'];
+    ids.forEach(id => form.querySelector(`#${id}`).addEventListener('blur', () => validateCheckoutField(form, id)));
+    form.querySelector('#tin').addEventListener('change', (e) => {
+        const tin = normalizeTin(e.target.value);
+        if (tin.ok) e.target.value = tin.value;
+    });
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const valid = ids.map(id => validateCheckoutField(form, id)).every(Boolean);
+        if (!valid) return;
+        const value = id => form.querySelector(`#${id}`).value;
+        saveBusinessProfile({ companyName: value('companyName'), tin: value('tin'), billingAddress: value('billingAddress'), authorisedBuyers: value('authorisedBuyers'), requirePo: form.querySelector('#requirePo').checked });
+        showToast('Business profile saved');
+        renderBusinessProfilePage();
+    });
+    const removeBtn = container.querySelector('#remove-business-btn');
+    if (removeBtn) removeBtn.addEventListener('click', () => {
+        if (!confirm('Remove the business profile from this account? Past orders and invoices keep their company details.')) return;
+        removeBusinessProfile();
+        showToast('Business profile removed');
+        renderBusinessProfilePage();
+    });
+}
+
+// ================= AUTHENTICATION & ACCESS CONTROL =================
+// Check if user is currently logged in (the session must point at a registered account)
+function isLoggedIn() {
+    return !!getCurrentAccount();
+}
+
+// Back-office access (admin.html) is for accounts with the 'admin' role (see setAccountRole).
+// Like the rest of the site this runs in the browser: it keeps shoppers out of the admin
+// screens, it does not protect the stored data.
+function isAdmin(account = getCurrentAccount()) {
+    return !!account && account.role === 'admin';
+}
+
+
+
+function requireLogin(returnTo) {
+
+    try { localStorage.setItem('os_post_login_redirect', returnTo || window.location.href); } catch (e) {}
+
+    showToast('Please sign in to continue', 900);
+
+    setTimeout(() => {
+
+        const url = 'login.html?return=' + encodeURIComponent(returnTo || window.location.href);
+
+        window.location.href = url;
+
+    }, 700);
+
+}
+
+
+
+function renderAuthLinks() {
+
+    const account = getCurrentAccount();
+
+    const user = account ? account.username : null;
+
+    const nav = document.querySelector('.main-nav ul');
+
+    if (!nav) return;
 
     const loginLink = Array.from(nav.querySelectorAll('a')).find(a => /login\.html$/.test(a.getAttribute('href')) || a.textContent.trim().toLowerCase() === 'login');
 
@@ -447,6 +2478,34 @@ function renderAuthLinks() {
 
         }
 
+        // "My Orders", "Wishlist", "Subscriptions" and "Business" links next to logout for signed-in users ("Admin" for admins)
+        const logoutLink = document.getElementById('logout-link');
+        if (logoutLink && !nav.querySelector('a[href="orders.html"]')) {
+            const ordersLi = document.createElement('li');
+            ordersLi.innerHTML = `<a href="orders.html">My Orders</a>`;
+            nav.insertBefore(ordersLi, logoutLink.closest('li'));
+        }
+        if (logoutLink && !nav.querySelector('a[href="wishlist.html"]')) {
+            const wishlistLi = document.createElement('li');
+            wishlistLi.innerHTML = `<a href="wishlist.html">Wishlist</a>`;
+            nav.insertBefore(wishlistLi, logoutLink.closest('li'));
+        }
+        if (logoutLink && !nav.querySelector('a[href="subscriptions.html"]')) {
+            const subscriptionsLi = document.createElement('li');
+            subscriptionsLi.innerHTML = `<a href="subscriptions.html">Subscriptions</a>`;
+            nav.insertBefore(subscriptionsLi, logoutLink.closest('li'));
+        }
+        if (logoutLink && !nav.querySelector('a[href="business.html"]')) {
+            const businessLi = document.createElement('li');
+            businessLi.innerHTML = `<a href="business.html">Business</a>`;
+            nav.insertBefore(businessLi, logoutLink.closest('li'));
+        }
+        if (logoutLink && isAdmin(account) && !nav.querySelector('a[href="admin.html"]')) {
+            const adminLi = document.createElement('li');
+            adminLi.innerHTML = `<a href="admin.html">Admin</a>`;
+            nav.insertBefore(adminLi, logoutLink.closest('li'));
+        }
+
     } else {
 
         // ensure login link exists
@@ -473,15 +2532,13 @@ function doLogout() {
         // remove auth keys
         localStorage.removeItem('os_current_user');
         localStorage.removeItem('os_saved_username');
-        // clear cart and voucher on logout (use saveCart to ensure badge updates)
-        try { saveCart([]); } catch (err) { localStorage.removeItem('cartItems'); }
-        try { localStorage.removeItem('os_active_voucher'); } catch (err) {}
+        // the account cart and voucher stay stored for the next sign-in
     } catch (e) {}
 
-    // update UI badge if present
+    // update UI badge if present (now showing the guest cart)
     try { updateCartCount(); } catch (e) {}
 
-    showToast('Logged out — cart cleared');
+    showToast('Logged out — your cart is saved for next time');
 
     setTimeout(() => { window.location.href = 'index.html'; }, 700);
 
@@ -496,9 +2553,18 @@ function escapeHtml(s) { return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;'
 // ================= Cart Page =================
 
 function renderCart() {
+    // quantities may have gone stale since the items were added (stock sold in the meantime)
+    const stockChanges = enforceCartStock();
+    if (stockChanges.length) showToast(describeStockChanges(stockChanges), 3500);
 
     const cart = getCartItems();
 
+    // saved-cart templates panel (shown with an empty cart too, so a template can be loaded)
+    renderCartTemplates();
+
+    // "You may also need" suggestions below the cart
+    renderCartRecommendations(cart);
+
     const cartList = document.getElementById('cart-items-list');
 
     const cartSummaryBox = document.getElementById('cart-summary-box');
@@ -558,23 +2624,26 @@ function renderCart() {
 
                 <div class="item-product-info">
 
-                    <img src="${safeImage}" alt="${item.name}" class="item-image" onerror="this.onerror=null;this.src='https://via.placeholder.com/70?text=No+Image'">
+                    <img src="${escapeHtml(safeImage)}" alt="${escapeHtml(item.name)}" class="item-image" onerror="this.onerror=null;this.src='https://via.placeholder.com/70?text=No+Image'">
 
                     <div class="item-details">
 
-                        <p class="item-name">${item.name}</p>
+                        <p class="item-name">${escapeHtml(item.name)}</p>
 
-                        <button class="remove-item-btn" data-id="${item.id}">\u00D7 Remove</button>
+                        <button class="remove-item-btn" data-id="${escapeHtml(item.id)}">\u00D7 Remove</button>
+                        <button class="save-later-btn" data-id="${escapeHtml(item.id)}">Save for later</button>
+                        ${renderSubscribeBox(item.id, item.quantity)}
 
                     </div>
 
                 </div>
 
-                <span class="col-price item-unit-price">${formatPrice(item.price)}</span>
+                <span class="col-price item-unit-price">${formatPrice(item.price)}${renderTierSavings(item)}</span>
 
                 <div class="col-quantity item-quantity-control">
 
-                    <input type="number" value="${item.quantity}" min="1" class="quantity-input" data-id="${item.id}">
+                    <input type="number" value="${item.quantity}" min="1"${renderStockMaxAttr(item.id)} class="quantity-input" data-id="${escapeHtml(item.id)}">
+                    ${getStockState(item.id) === 'low' ? `<small class="stock-note low">Only ${getStock(item.id)} left</small>` : ''}
 
                 </div>
 
@@ -615,33 +2684,10 @@ function renderCart() {
                         <button id="apply-voucher-btn" class="apply-voucher-btn" style="padding:6px 10px;border-radius:6px;background:var(--primary-color);color:#fff;border:none;">Apply</button>
                         <button id="remove-voucher-btn" class="remove-voucher-btn" style="padding:6px 10px;border-radius:6px;background:#ddd;color:#333;border:none;display:none;">Remove</button>
                     </div>
-                    <div id="voucher-info" style="display:none;">Applied <strong id="voucher-code-display"></strong>: <span id="voucher-desc"></span></div>
+                    <div id="voucher-info" style="display:none;"><span id="voucher-status">Applied</span> <strong id="voucher-code-display"></strong>: <span id="voucher-desc"></span></div>
                 </div>
             `;
             cartSummary.insertAdjacentHTML('afterbegin', voucherHtml);
-
-            // attach handlers
-            const applyBtn = document.getElementById('apply-voucher-btn');
-            const removeBtn = document.getElementById('remove-voucher-btn');
-            const input = document.getElementById('voucher-code-input');
-
-            applyBtn && applyBtn.addEventListener('click', () => {
-                const code = input.value.trim().toUpperCase();
-                if (!code) { showToast('Enter a voucher code'); return; }
-                const v = getVoucherByCode(code);
-                if (!v) { showToast('Invalid voucher code'); return; }
-                // check min spend
-                const discount = calculateVoucherDiscount(cart, code);
-                if (discount <= 0) { showToast('Voucher does not meet requirements'); return; }
-                setActiveVoucherCode(code);
-                showToast(`Voucher ${code} applied`);
-                renderCart();
-            });
-
-            removeBtn && removeBtn.addEventListener('click', () => {
-                clearActiveVoucher();
-                renderCart();
-            });
         }
 
         // ensure handlers are attached to permanent voucher controls (idempotent)
@@ -653,10 +2699,9 @@ function renderCart() {
                 applyBtnStatic.onclick = () => {
                     const code = (inputStatic && inputStatic.value || '').trim().toUpperCase();
                     if (!code) { showToast('Enter a voucher code'); return; }
-                    const v = getVoucherByCode(code);
-                    if (!v) { showToast('Invalid voucher code'); return; }
-                    const discount = calculateVoucherDiscount(cart, code);
-                    if (discount <= 0) { showToast('Voucher does not meet requirements'); return; }
+                    // the promotion engine explains why a code can't be used (dates, limits, min spend...)
+                    const check = validateVoucherCode(getCartItems(), code);
+                    if (!check.ok) { showToast(check.message, 1600); return; }
                     setActiveVoucherCode(code);
                     showToast(`Voucher ${code} applied`);
                     renderCart();
@@ -669,33 +2714,43 @@ function renderCart() {
 
         // update voucher display based on totals
         const applied = totals.appliedVoucher;
+        const pendingCode = getActiveVoucherCode();
         const vRow = document.getElementById('voucher-info');
+        const vStatus = document.getElementById('voucher-status');
         const vCodeDisplay = document.getElementById('voucher-code-display');
         const vDesc = document.getElementById('voucher-desc');
-        const vDiscountRow = document.getElementById('cart-discount-value');
-        const vDiscountWrapper = document.getElementById('voucher-discount-row');
         const removeBtn = document.getElementById('remove-voucher-btn');
         const codeInput = document.getElementById('voucher-code-input');
         if (applied) {
             const v = getVoucherByCode(applied);
             if (v) {
-                if (vRow) { vRow.style.display = 'block'; }
+                if (vRow) vRow.style.display = 'block';
+                if (vStatus) vStatus.textContent = 'Applied';
                 if (vCodeDisplay) vCodeDisplay.textContent = v.code;
                 if (vDesc) vDesc.textContent = v.description || '';
-                if (vDiscountRow) vDiscountRow.textContent = '-' + formatPrice(totals.discount || 0);
-                if (vDiscountWrapper) vDiscountWrapper.style.display = 'block';
                 if (removeBtn) removeBtn.style.display = 'inline-block';
                 if (codeInput) codeInput.value = v.code;
             }
+        } else if (pendingCode && getVoucherByCode(pendingCode)) {
+            // code is saved but the cart no longer qualifies (e.g. quantity lowered below min spend)
+            const check = validateVoucherCode(cart, pendingCode);
+            if (vRow) vRow.style.display = 'block';
+            if (vStatus) vStatus.textContent = 'Not applied';
+            if (vCodeDisplay) vCodeDisplay.textContent = pendingCode.toUpperCase();
+            // an eligible free-shipping voucher is not needed when the order already ships free
+            if (vDesc) vDesc.textContent = check.message || (totals.shippingInfo.freeReason ? 'Shipping is already free on this order' : '');
+            if (removeBtn) removeBtn.style.display = 'inline-block';
+            if (codeInput) codeInput.value = pendingCode.toUpperCase();
         } else {
             if (vRow) vRow.style.display = 'none';
-            if (vDiscountWrapper) vDiscountWrapper.style.display = 'none';
             if (removeBtn) removeBtn.style.display = 'none';
             if (codeInput) codeInput.value = '';
         }
+        // itemised discount lines (automatic deals and voucher)
+        renderDiscountLines(document.getElementById('cart-discount-lines'), totals.discounts);
         // update shipping display if present
-        const shipElem = document.getElementById('cart-shipping-value');
-        if (shipElem) shipElem.textContent = formatPrice(totals.shipping || 0);
+        renderShippingSummary('cart', totals);
+        renderVatSummary('cart', totals);
         // ensure total updated
         const cartTotalValueElem = document.getElementById('cart-total-value');
         if (cartTotalValueElem) cartTotalValueElem.textContent = formatPrice(totals.total || 0);
@@ -712,6 +2767,7 @@ function renderCart() {
             if (target && target.classList && target.classList.contains('quantity-input')) {
                 const id = target.dataset.id;
                 const qty = parseInt(target.value, 10) || 1;
+                if (qty > getStock(id)) showToast(`Only ${getStock(id)} left in stock`);
                 updateQuantity(id, qty);
                 // re-render to update totals and UI
                 renderCart();
@@ -719,6 +2775,12 @@ function renderCart() {
         });
 
         cartList.addEventListener('click', (e) => {
+            const saveBtn = e.target.closest && e.target.closest('.save-later-btn');
+            if (saveBtn) {
+                saveForLater(saveBtn.dataset.id);
+                renderCart();
+                return;
+            }
             const btn = e.target.closest && e.target.closest('.remove-item-btn');
             if (btn) {
                 const id = btn.dataset.id;
@@ -730,21 +2792,39 @@ function renderCart() {
         cartList.dataset.handlersAttached = '1';
     }
 
+    // "Deliver to" field: re-price shipping live as the destination is typed
+    const destInput = document.getElementById('cart-shipping-destination');
+    if (destInput && !destInput.dataset.handlersAttached) {
+        destInput.value = getShippingDestination();
+        destInput.addEventListener('input', () => {
+            setShippingDestination(destInput.value);
+            const liveTotals = calculateCartTotals(getCartItems());
+            renderShippingSummary('cart', liveTotals);
+            renderVatSummary('cart', liveTotals);
+            const totalElem = document.getElementById('cart-total-value');
+            if (totalElem) totalElem.textContent = formatPrice(liveTotals.total);
+        });
+        destInput.dataset.handlersAttached = '1';
+    }
+
+    // "Business purchase" switches the summary to the VATable sales / VAT breakdown
+    const businessToggle = document.getElementById('cart-business-vat');
+    if (businessToggle && !businessToggle.dataset.handlersAttached) {
+        businessToggle.addEventListener('change', () => { setBusinessCustomer(businessToggle.checked); renderCart(); });
+        businessToggle.dataset.handlersAttached = '1';
+    }
+
 }
 
 
 
+// Set a line's quantity, kept between 1 and the available stock
 function updateQuantity(id, quantity) {
-
     const cart = getCartItems();
-
     const item = cart.find(i => i.id === id);
-
-    if (item) item.quantity = quantity;
-
-    saveCart(cart);
-
-}
+    if (item) item.quantity = Math.max(1, Math.min(quantity, getStock(id)));
+    saveCart(cart);
+}
 
 
 
@@ -765,12 +2845,11 @@ function removeItem(id) {
 function renderOrderSummary() {
 
     // Allow viewing checkout summary without requiring login (demo)
-
-    const cart = getCartItems();
-
     const list = document.getElementById('checkout-items-list');
-
     if (!list) return;
+    const stockChanges = enforceCartStock();
+    if (stockChanges.length) showToast(describeStockChanges(stockChanges), 3500);
+    const cart = getCartItems();
 
     if (cart.length === 0) {
         alert('Your cart is empty. Please add items before checking out.');
@@ -798,17 +2877,17 @@ function renderOrderSummary() {
     cart.forEach(item => {
         const safeImage = resolveCheckoutImage(item.image);
         const itemHtml = `
-            <div class="checkout-item" data-id="${item.id}">
+            <div class="checkout-item" data-id="${escapeHtml(item.id)}">
                 <div class="checkout-thumb">
                     <img src="${encodeURI(safeImage)}" alt="${escapeHtml(item.name)}" onerror="this.onerror=null;this.src='https://via.placeholder.com/70?text=No+Image'">
                 </div>
                 <div class="checkout-item-info">
                     <div class="checkout-item-name">${escapeHtml(item.name)}</div>
-                    <div class="checkout-item-unit">Unit: ${formatPrice(item.price)}</div>
+                    <div class="checkout-item-unit">Unit: ${formatPrice(item.price)}${renderTierSavings(item)}</div>
                 </div>
                 <div class="checkout-item-controls">
-                    <input type="number" class="checkout-qty-input" data-id="${item.id}" value="${item.quantity}" min="1" />
-                    <button class="remove-item-btn small" data-id="${item.id}">Remove</button>
+                    <input type="number" class="checkout-qty-input" data-id="${escapeHtml(item.id)}" value="${item.quantity}" min="1"${renderStockMaxAttr(item.id)} />
+                    <button class="remove-item-btn small" data-id="${escapeHtml(item.id)}">Remove</button>
                 </div>
                 <div class="checkout-item-total">${formatPrice(item.price * item.quantity)}</div>
             </div>
@@ -822,22 +2901,20 @@ function renderOrderSummary() {
             const id = e.target.dataset.id;
             let qty = parseInt(e.target.value, 10) || 1;
             if (qty < 1) { qty = 1; e.target.value = 1; }
+            const stock = getStock(id);
+            if (qty > stock) { qty = stock; e.target.value = stock; showToast(`Only ${stock} left in stock`); }
             updateQuantity(id, qty);
-            // update the per-item subtotal display
+            // update the per-item unit price (bulk tiers) and subtotal display
             const row = e.target.closest('.checkout-item');
             if (row) {
                 const item = getCartItems().find(i => i.id === id);
-                const lastCell = row.querySelector('div:last-child');
-                if (item && lastCell) lastCell.textContent = formatPrice(item.price * item.quantity);
+                const unitCell = row.querySelector('.checkout-item-unit');
+                const totalCell = row.querySelector('.checkout-item-total');
+                if (item && unitCell) unitCell.innerHTML = `Unit: ${formatPrice(item.price)}${renderTierSavings(item)}`;
+                if (item && totalCell) totalCell.textContent = formatPrice(item.price * item.quantity);
             }
             // update totals
-            const totals = calculateCartTotals(getCartItems());
-            const summaryCount = document.getElementById('summary-item-count');
-            const subVal = document.getElementById('checkout-subtotal-value');
-            const totVal = document.getElementById('checkout-total-value');
-            if (summaryCount) summaryCount.textContent = totals.itemCount;
-            if (subVal) subVal.textContent = formatPrice(totals.subtotal);
-            if (totVal) totVal.textContent = formatPrice(totals.total);
+            renderCheckoutTotals(calculateCartTotals(getCartItems()));
         });
     });
 
@@ -852,20 +2929,23 @@ function renderOrderSummary() {
     });
 
     // update totals
-    const totals = calculateCartTotals(cart);
+    renderCheckoutTotals(calculateCartTotals(cart));
+
+}
+
+
+
+// Fill the checkout summary box (subtotal, voucher, itemised discounts, shipping, total)
+function renderCheckoutTotals(totals) {
     const summaryCount = document.getElementById('summary-item-count');
     const subVal = document.getElementById('checkout-subtotal-value');
     const totVal = document.getElementById('checkout-total-value');
-    const discountVal = document.getElementById('checkout-discount-value');
-    const discountRow = document.getElementById('checkout-discount-row');
     const voucherRow = document.getElementById('checkout-voucher-row');
     const voucherCode = document.getElementById('checkout-voucher-code');
-    const shipVal = document.getElementById('checkout-shipping-value');
 
     if (summaryCount) summaryCount.textContent = totals.itemCount;
     if (subVal) subVal.textContent = formatPrice(totals.subtotal);
-    if (discountVal) discountVal.textContent = formatPrice(totals.discount || 0);
-    if (discountRow) discountRow.style.display = (totals.discount && totals.discount > 0) ? 'flex' : 'none';
+    renderDiscountLines(document.getElementById('checkout-discount-lines'), totals.discounts);
     if (voucherRow && voucherCode) {
         if (totals.appliedVoucher) {
             voucherRow.style.display = 'flex';
@@ -875,70 +2955,519 @@ function renderOrderSummary() {
             voucherCode.textContent = '-';
         }
     }
-    if (shipVal) shipVal.textContent = formatPrice(totals.shipping || 0);
+    renderShippingSummary('checkout', totals);
     if (totVal) totVal.textContent = formatPrice(totals.total);
+    renderVatSummary('checkout', totals);
 
 }
 
 
 
-function validateCheckoutForm(form) {
+// Shipping row for the cart ('cart') or checkout ('checkout') summary:
+// fee, destination zone / free-shipping reason, and how much more to spend for free delivery
+function renderShippingSummary(prefix, totals) {
+    const info = totals.shippingInfo;
+    const shipVal = document.getElementById(`${prefix}-shipping-value`);
+    const zoneElem = document.getElementById(`${prefix}-shipping-zone`);
+    const noteElem = document.getElementById(`${prefix}-shipping-note`);
+    if (shipVal) shipVal.textContent = (info && info.freeReason && totals.subtotal > 0) ? 'FREE' : formatPrice(totals.shipping || 0);
+    if (!info) return;
+    if (zoneElem) {
+        zoneElem.textContent = info.zone.id === DEFAULT_SHIPPING_ZONE.id
+            ? '(enter city/province for exact rate)'
+            : `(${info.zone.label}, ${info.weightKg.toFixed(1)} kg, ${info.zone.days} days)`;
+    }
+    if (noteElem) {
+        const merchandiseTotal = totals.subtotal - (totals.discount || 0);
+        if (info.freeReason) noteElem.textContent = info.freeReason;
+        else if (totals.subtotal > 0) noteElem.textContent = `Add ${formatPrice(FREE_SHIPPING_THRESHOLD - merchandiseTotal)} more for free shipping`;
+        else noteElem.textContent = '';
+    }
+}
 
-    let isValid = true;
 
-    const fields = ['fullName','email','phone','address','city'];
 
-    fields.forEach(id => {
+// ================= CHECKOUT ADDRESS & VALIDATION =================
+// Philippine phone, email and address rules for the checkout form. The cascading
+// region → province → city → barangay pickers are filled from PH_ADDRESSES (ph-addresses.js).
 
-        const input = form.querySelector(`#${id}`);
+function getPhRegions() {
+    return (typeof PH_ADDRESSES !== 'undefined' && Array.isArray(PH_ADDRESSES)) ? PH_ADDRESSES : [];
+}
+
+function findPhRegion(regionName) {
+    return getPhRegions().find(r => r.name === regionName) || null;
+}
+
+function findPhProvince(regionName, provinceName) {
+    const region = findPhRegion(regionName);
+    return (region && region.provinces.find(p => p.name === provinceName)) || null;
+}
 
-        const err = document.getElementById(`error-${id}`);
+function findPhCity(regionName, provinceName, cityName) {
+    const province = findPhProvince(regionName, provinceName);
+    return (province && province.cities.find(c => c.name === cityName)) || null;
+}
 
-        if (input && input.value.trim() === '') {
+// Picker value for "Other / not listed": the place is typed into the #<picker>Other box instead
+const ADDRESS_OTHER = '__other__';
 
-            if (err) err.style.display = 'block';
+// Typed name for an unlisted place must look like a place name
+function validateUnlistedPlace(form, id, label) {
+    const other = form.querySelector(`#${id}Other`);
+    const v = other ? other.value.trim() : '';
+    return (v.length >= 2 && /[A-Za-zÀ-ÿ]/.test(v)) ? null : `Please type your ${label}.`;
+}
 
-            if (input) input.style.borderColor = '#dc3545';
+// Normalise a PH phone number to E.164 (+63...). Accepts 09XX / +639XX / 639XX mobiles and
+// landlines with an area code: (02) 8XXX XXXX for Metro Manila, (0XX) XXX XXXX elsewhere.
+// Returns { ok, value, type, message }.
+function normalizePhPhone(raw) {
+    const compact = String(raw || '').replace(/[\s().-]/g, '');
+    const invalid = { ok: false, value: null, type: null, message: 'Enter a PH mobile (0917 123 4567 or +63 917 123 4567) or a landline with area code, e.g. (02) 8123 4567.' };
+    if (!/^\+?\d+$/.test(compact)) return invalid;
+
+    let national = compact;
+    if (national.startsWith('+63')) national = '0' + national.slice(3);
+    else if (national.startsWith('63') && national.length >= 11) national = '0' + national.slice(2);
+    else if (/^9\d{9}$/.test(national)) national = '0' + national;
+
+    let type = null;
+    if (/^09\d{9}$/.test(national)) type = 'mobile';
+    else if (/^02\d{8}$/.test(national) || /^0[3-8]\d{8}$/.test(national)) type = 'landline';
+    if (!type) return invalid;
+    return { ok: true, value: '+63' + national.slice(1), type, message: null };
+}
 
-            isValid = false;
+// Readable form of a canonical number: +63 917 123 4567, +63 2 8123 4567, +63 32 234 5678
+function formatPhPhone(e164) {
+    const n = String(e164 || '').replace(/^\+63/, '');
+    if (/^9\d{9}$/.test(n)) return `+63 ${n.slice(0, 3)} ${n.slice(3, 6)} ${n.slice(6)}`;
+    if (/^2\d{8}$/.test(n)) return `+63 2 ${n.slice(1, 5)} ${n.slice(5)}`;
+    if (/^[3-8]\d{8}$/.test(n)) return `+63 ${n.slice(0, 2)} ${n.slice(2, 5)} ${n.slice(5)}`;
+    return e164;
+}
 
-        } else {
+// Practical email syntax check: local part without leading/trailing/double dots, a dotted domain and a TLD
+function isValidEmail(email) {
+    const value = String(email || '').trim();
+    if (value.length > 254) return false;
+    // trailing dot checked in code: regex lookbehind does not parse on older Safari/iOS
+    const local = value.slice(0, value.lastIndexOf('@'));
+    if (local.endsWith('.')) return false;
+    return /^(?!\.)(?!.*\.\.)[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]{1,64}@(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,}$/.test(value);
+}
+
+// True when a 4-digit postal code is in the chosen city's ZIP range
+function isPostalCodeInCity(code, city) {
+    if (!/^\d{4}$/.test(code) || !city || !city.zip) return false;
+    return code >= city.zip[0] && code <= city.zip[1];
+}
+
+function describeZipRange(city) {
+    return city.zip[0] === city.zip[1] ? city.zip[0] : `${city.zip[0]}–${city.zip[1]}`;
+}
+
+// Field id → function returning an error message, or null when the value is fine
+const CHECKOUT_FIELD_VALIDATORS = {
+    fullName: v => (v.length >= 2 && /[A-Za-zÀ-ÿ]/.test(v)) ? null : 'Please enter your full name.',
+    email: v => isValidEmail(v) ? null : 'Please enter a valid email address, e.g. juan@example.com.',
+    phone: v => normalizePhPhone(v).message,
+    address: v => v.length >= 5 ? null : 'Please enter your house/building number and street.',
+    region: (v, form) => v === ADDRESS_OTHER ? validateUnlistedPlace(form, 'region', 'region')
+        : findPhRegion(v) ? null : 'Please choose your region.',
+    province: (v, form) => v === ADDRESS_OTHER ? validateUnlistedPlace(form, 'province', 'province')
+        : findPhProvince(form.querySelector('#region').value, v) ? null : 'Please choose your province.',
+    city: (v, form) => v === ADDRESS_OTHER ? validateUnlistedPlace(form, 'city', 'city or municipality')
+        : findPhCity(form.querySelector('#region').value, form.querySelector('#province').value, v) ? null : 'Please choose your city or municipality.',
+    barangay: (v, form) => {
+        if (v === ADDRESS_OTHER) return validateUnlistedPlace(form, 'barangay', 'barangay');
+        const city = findPhCity(form.querySelector('#region').value, form.querySelector('#province').value, form.querySelector('#city').value);
+        return city && city.barangays.includes(v) ? null : 'Please choose your barangay.';
+    },
+    postalCode: (v, form) => {
+        if (!/^\d{4}$/.test(v)) return 'Postal codes have 4 digits.';
+        // no ZIP range to check against a typed-in city
+        if (form.querySelector('#city').value === ADDRESS_OTHER) return null;
+        const city = findPhCity(form.querySelector('#region').value, form.querySelector('#province').value, form.querySelector('#city').value);
+        if (!city) return 'Choose your city first so we can check the postal code.';
+        return isPostalCodeInCity(v, city) ? null : `${v} is not a postal code for ${city.name} (expected ${describeZipRange(city)}).`;
+    }
+};
 
-            if (err) err.style.display = 'none';
+// Validate one field and show/hide its inline error. Returns true when valid.
+function validateCheckoutField(form, id) {
+    const input = form.querySelector(`#${id}`);
+    const validator = CHECKOUT_FIELD_VALIDATORS[id] || PAYMENT_FIELD_VALIDATORS[id] || BUSINESS_FIELD_VALIDATORS[id];
+    if (!input || !validator) return true;
+    const message = validator(input.value.trim(), form);
+    const err = document.getElementById(`error-${id}`);
+    if (err) { if (message) err.textContent = message; err.style.display = message ? 'block' : 'none'; }
+    // an unlisted place is flagged on the box it was typed into
+    const field = (input.value === ADDRESS_OTHER && form.querySelector(`#${id}Other`)) || input;
+    field.style.borderColor = message ? '#dc3545' : '#ccc';
+    field.setAttribute('aria-invalid', message ? 'true' : 'false');
+    return !message;
+}
+
+// Chosen { region, province, city, barangay }, with typed-in names for unlisted places
+function getCheckoutAddress(form) {
+    const address = {};
+    ['region', 'province', 'city', 'barangay'].forEach(id => {
+        const el = form.querySelector(`#${id}`);
+        const other = form.querySelector(`#${id}Other`);
+        const value = el ? el.value : '';
+        address[id] = value === ADDRESS_OTHER ? (other ? other.value.trim() : '') : value;
+    });
+    return address;
+}
+
+// "City, Province, Region" string used to price shipping
+function getCheckoutDestination(form) {
+    const address = getCheckoutAddress(form);
+    return [address.city, address.province, address.region].filter(Boolean).join(', ');
+}
+
+function fillAddressSelect(select, placeholder, names) {
+    if (!select) return;
+    select.innerHTML = `<option value="">${escapeHtml(placeholder)}</option>` + names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+    select.disabled = names.length === 0;
+}
 
-            if (input) input.style.borderColor = '#ccc';
+// Fill a picker and add the "Other / not listed" choice. Below an unlisted place the
+// picker has nothing to offer, so it is locked on "Other" and the name is typed in.
+function fillAddressPicker(select, placeholder, names, parentUnlisted) {
+    if (!select) return;
+    fillAddressSelect(select, placeholder, names);
+    if (!names.length && !parentUnlisted) return;
+    select.insertAdjacentHTML('beforeend', `<option value="${ADDRESS_OTHER}">Other / not listed</option>`);
+    if (parentUnlisted) select.value = ADDRESS_OTHER;
+}
 
+// Wire up the cascading address pickers. onChange runs whenever the chosen area changes.
+function setupAddressPickers(form, onChange) {
+    const region = form.querySelector('#region');
+    const province = form.querySelector('#province');
+    const city = form.querySelector('#city');
+    const barangay = form.querySelector('#barangay');
+    const postal = form.querySelector('#postalCode');
+    if (!region || region.dataset.handlersAttached) return;
+
+    fillAddressPicker(region, 'Select region', getPhRegions().map(r => r.name), false);
+    fillAddressSelect(province, 'Select province', []);
+    fillAddressSelect(city, 'Select city / municipality', []);
+    fillAddressSelect(barangay, 'Select barangay', []);
+
+    // Each level refills the ones below it directly rather than firing `change` on them,
+    // so the inline validators only react to pickers the customer actually touched
+    const unlisted = select => select.value === ADDRESS_OTHER;
+    const showOther = select => {
+        const other = form.querySelector(`#${select.id}Other`);
+        if (other) other.hidden = !unlisted(select);
+    };
+    const fillBarangays = () => {
+        const c = findPhCity(region.value, province.value, city.value);
+        showOther(city);
+        fillAddressPicker(barangay, 'Select barangay', c ? c.barangays : [], unlisted(city));
+        showOther(barangay);
+        if (postal) {
+            postal.placeholder = c ? `e.g. ${c.zip[0]}` : '';
+            if (c && c.zip[0] === c.zip[1]) postal.value = c.zip[0];
+            if (postal.value) validateCheckoutField(form, 'postalCode');
         }
+        if (onChange) onChange();
+    };
+    const fillCities = () => {
+        const p = findPhProvince(region.value, province.value);
+        showOther(province);
+        fillAddressPicker(city, 'Select city / municipality', p ? p.cities.map(c => c.name) : [], unlisted(province));
+        fillBarangays();
+    };
+    const fillProvinces = () => {
+        const r = findPhRegion(region.value);
+        showOther(region);
+        fillAddressPicker(province, 'Select province', r ? r.provinces.map(p => p.name) : [], unlisted(region));
+        // regions with a single province (e.g. NCR) skip straight to the city list
+        if (r && r.provinces.length === 1) province.value = r.provinces[0].name;
+        fillCities();
+    };
+    region.addEventListener('change', fillProvinces);
+    province.addEventListener('change', fillCities);
+    city.addEventListener('change', fillBarangays);
+    barangay.addEventListener('change', () => showOther(barangay));
+    // typed-in places are checked like the other text fields, and reprice shipping as they change
+    [region, province, city, barangay].forEach(select => {
+        const other = form.querySelector(`#${select.id}Other`);
+        if (!other) return;
+        other.addEventListener('input', () => {
+            validateCheckoutField(form, select.id);
+            if (select !== barangay && onChange) onChange();
+        });
+        other.addEventListener('blur', () => validateCheckoutField(form, select.id));
+    });
+    region.dataset.handlersAttached = '1';
+}
 
+function validateCheckoutForm(form) {
+    let isValid = true;
+    Object.keys(CHECKOUT_FIELD_VALIDATORS).forEach(id => {
+        if (!validateCheckoutField(form, id)) isValid = false;
+    });
+    const payment = form.querySelector('input[name="paymentMethod"]:checked');
+    const payErr = document.getElementById('error-payment');
+    if (!payment) { if (payErr) payErr.style.display = 'block'; isValid = false; }
+    else if (payErr) payErr.style.display = 'none';
+    // only the chosen method's own fields (card number, wallet number, ...) are checked
+    const provider = payment && getPaymentProvider(payment.value);
+    (provider ? provider.fields : []).forEach(id => {
+        if (!validateCheckoutField(form, id)) isValid = false;
     });
+    // buyer, PO number and cost centre when a business account is ordering
+    (getBusinessProfile() ? BUSINESS_CHECKOUT_FIELDS : []).forEach(id => {
+        if (!validateCheckoutField(form, id)) isValid = false;
+    });
+    return isValid;
+}
+
+
+
+// ================= PAYMENTS =================
+// Each payment method is a provider in PAYMENT_PROVIDERS:
+//   { id, label, fields, getDetails(form), pay(amount, details, onStatus) }
+// pay() resolves to a payment record { id, method, amount, status, message, reference, history, ... }
+// and calls onStatus(record) on every status change. Card and e-wallet payments run through
+// MockPaymentGateway, a local stand-in for a real gateway that works offline. Full card
+// numbers and CVVs are never stored — records keep the brand and last 4 digits only.
+
+const PAYMENT_STATUS = { PENDING: 'pending', AUTHORISED: 'authorised', CAPTURED: 'captured', FAILED: 'failed' };
+
+const MOCK_GATEWAY_DELAY_MS = 600;
+// Test data the mock gateway declines: these card numbers, and wallet numbers ending in 0000
+const MOCK_DECLINED_CARDS = ['4000000000000002', '5105105105105100'];
+const MOCK_FAILING_WALLET_SUFFIX = '0000';
+
+function createPaymentRecord(method, amount, extra = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: 'PAY-' + Date.now().toString(36).toUpperCase() + Math.random().toString(36).slice(2, 6).toUpperCase(),
+        method,
+        amount,
+        status: PAYMENT_STATUS.PENDING,
+        message: null,
+        reference: null,
+        createdAt: now,
+        history: [{ status: PAYMENT_STATUS.PENDING, at: now }],
+        ...extra
+    };
+}
+
+function setPaymentStatus(payment, status, message = null) {
+    payment.status = status;
+    payment.message = message;
+    payment.history.push({ status, at: new Date().toISOString() });
+    return payment;
+}
+
+const MockPaymentGateway = {
+    wait() { return new Promise(resolve => setTimeout(resolve, MOCK_GATEWAY_DELAY_MS)); },
 
-    const emailInput = form.querySelector('#email');
+    // pending → authorised, or failed when the test credentials say so
+    async authorise(payment, credentials = {}) {
+        await this.wait();
+        if (credentials.cardNumber && MOCK_DECLINED_CARDS.includes(credentials.cardNumber)) {
+            return setPaymentStatus(payment, PAYMENT_STATUS.FAILED, 'Your card was declined by the issuing bank.');
+        }
+        if (credentials.walletNumber && credentials.walletNumber.endsWith(MOCK_FAILING_WALLET_SUFFIX)) {
+            return setPaymentStatus(payment, PAYMENT_STATUS.FAILED, `The ${payment.wallet} payment was not approved (insufficient balance).`);
+        }
+        payment.reference = 'AUTH-' + Math.random().toString(36).slice(2, 10).toUpperCase();
+        return setPaymentStatus(payment, PAYMENT_STATUS.AUTHORISED);
+    },
+
+    // authorised → captured
+    async capture(payment) {
+        await this.wait();
+        if (payment.status !== PAYMENT_STATUS.AUTHORISED) return setPaymentStatus(payment, PAYMENT_STATUS.FAILED, 'Payment could not be captured.');
+        return setPaymentStatus(payment, PAYMENT_STATUS.CAPTURED);
+    }
+};
 
-    if (emailInput && !emailInput.value.includes('@')) {
+// Luhn (mod 10) checksum used by all major card networks
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+        sum += d;
+    }
+    return digits.length > 0 && sum % 10 === 0;
+}
 
-        const emailErr = document.getElementById('error-email');
+function getCardBrand(digits) {
+    if (/^4/.test(digits)) return 'Visa';
+    if (/^(5[1-5]|2[2-7])/.test(digits)) return 'Mastercard';
+    if (/^3[47]/.test(digits)) return 'American Express';
+    if (/^35/.test(digits)) return 'JCB';
+    return 'Card';
+}
 
-        if (emailErr) { emailErr.textContent = 'Please enter a valid email address.'; emailErr.style.display = 'block'; }
+// "MM/YY", "MM / YYYY" or "MMYY" → { month, year } (null if unreadable)
+function parseCardExpiry(value) {
+    const m = String(value || '').replace(/\s/g, '').match(/^(\d{2})\/?(\d{2}|\d{4})$/);
+    if (!m) return null;
+    const month = Number(m[1]);
+    const year = m[2].length === 2 ? 2000 + Number(m[2]) : Number(m[2]);
+    return month >= 1 && month <= 12 ? { month, year } : null;
+}
 
-        emailInput.style.borderColor = '#dc3545';
+function cardDigits(form) {
+    const input = form.querySelector('#cardNumber');
+    return input ? input.value.replace(/[\s-]/g, '') : '';
+}
 
-        isValid = false;
+// Card and e-wallet field checks, used by validateCheckoutField()
+const PAYMENT_FIELD_VALIDATORS = {
+    cardName: v => v.length >= 2 ? null : 'Enter the name printed on the card.',
+    cardNumber: v => {
+        const digits = v.replace(/[\s-]/g, '');
+        if (!/^\d{13,19}$/.test(digits)) return 'Card numbers have 13 to 19 digits.';
+        return passesLuhn(digits) ? null : 'This card number is not valid. Please check for typos.';
+    },
+    cardExpiry: v => {
+        const exp = parseCardExpiry(v);
+        if (!exp) return 'Enter the expiry date as MM/YY.';
+        const endOfMonth = new Date(exp.year, exp.month, 0, 23, 59, 59);
+        if (endOfMonth < new Date()) return 'This card has expired.';
+        if (exp.year > new Date().getFullYear() + 20) return 'Please check the expiry year.';
+        return null;
+    },
+    cardCvv: (v, form) => {
+        const amex = form && getCardBrand(cardDigits(form)) === 'American Express';
+        return (amex ? /^\d{4}$/ : /^\d{3}$/).test(v) ? null : `Enter the ${amex ? '4' : '3'}-digit security code${amex ? ' on the front of the card' : ' on the back of the card'}.`;
+    },
+    walletProvider: v => ['GCash', 'Maya'].includes(v) ? null : 'Choose your e-wallet.',
+    walletNumber: v => normalizePhPhone(v).type === 'mobile' ? null : 'Enter the mobile number linked to your e-wallet, e.g. 0917 123 4567.'
+};
 
+const PAYMENT_PROVIDERS = {
+    cod: {
+        id: 'cod',
+        label: 'Cash on Delivery',
+        fields: [],
+        getDetails() { return {}; },
+        // nothing to charge now: the courier collects, so the payment stays pending
+        async pay(amount, details, onStatus) {
+            const payment = createPaymentRecord('cod', amount);
+            payment.message = 'Pay the courier when your order arrives.';
+            if (onStatus) onStatus(payment);
+            return payment;
+        }
+    },
+    card: {
+        id: 'card',
+        label: 'Credit/Debit Card',
+        fields: ['cardName', 'cardNumber', 'cardExpiry', 'cardCvv'],
+        getDetails(form) {
+            return { cardName: form.querySelector('#cardName').value.trim(), cardNumber: cardDigits(form) };
+        },
+        async pay(amount, details, onStatus) {
+            const payment = createPaymentRecord('card', amount, { brand: getCardBrand(details.cardNumber), last4: details.cardNumber.slice(-4) });
+            if (onStatus) onStatus(payment);
+            await MockPaymentGateway.authorise(payment, { cardNumber: details.cardNumber });
+            if (onStatus) onStatus(payment);
+            if (payment.status === PAYMENT_STATUS.FAILED) return payment;
+            await MockPaymentGateway.capture(payment);
+            if (onStatus) onStatus(payment);
+            return payment;
+        }
+    },
+    eWallet: {
+        id: 'eWallet',
+        label: 'E-Wallet',
+        fields: ['walletProvider', 'walletNumber'],
+        getDetails(form) {
+            return { wallet: form.querySelector('#walletProvider').value, walletNumber: normalizePhPhone(form.querySelector('#walletNumber').value).value };
+        },
+        // pending (waiting for approval in the wallet app) → authorised → captured, or failed
+        async pay(amount, details, onStatus) {
+            const payment = createPaymentRecord('eWallet', amount, { wallet: details.wallet, walletLast4: details.walletNumber.slice(-4) });
+            if (onStatus) onStatus(payment);
+            await MockPaymentGateway.authorise(payment, { walletNumber: details.walletNumber });
+            if (onStatus) onStatus(payment);
+            if (payment.status === PAYMENT_STATUS.FAILED) return payment;
+            await MockPaymentGateway.capture(payment);
+            if (onStatus) onStatus(payment);
+            return payment;
+        }
     }
+};
 
-    const payment = form.querySelector('input[name="paymentMethod"]:checked');
+function getPaymentProvider(method) {
+    return PAYMENT_PROVIDERS[method] || null;
+}
 
-    const payErr = document.getElementById('error-payment');
+// Add or replace a payment method (e.g. a real gateway in production)
+function registerPaymentProvider(provider) {
+    if (provider && provider.id) PAYMENT_PROVIDERS[provider.id] = provider;
+}
 
-    if (!payment) { if (payErr) payErr.style.display = 'block'; isValid = false; }
+// Run a payment with the chosen provider. Always resolves to a payment record.
+async function processPayment(method, amount, form, onStatus) {
+    const provider = getPaymentProvider(method);
+    if (!provider) {
+        const payment = createPaymentRecord(method || 'unknown', amount);
+        return setPaymentStatus(payment, PAYMENT_STATUS.FAILED, 'This payment method is not available.');
+    }
+    try {
+        return await provider.pay(amount, provider.getDetails(form), onStatus);
+    } catch (e) {
+        const payment = createPaymentRecord(method, amount);
+        return setPaymentStatus(payment, PAYMENT_STATUS.FAILED, 'The payment could not be completed. Please try again.');
+    }
+}
 
-    return isValid;
+// Customer-facing line for a payment record, e.g. "Visa •••• 4242 — Paid"
+function describePayment(payment) {
+    if (!payment) return '-';
+    const provider = getPaymentProvider(payment.method);
+    const what = payment.method === 'card' ? `${payment.brand} •••• ${payment.last4}`
+        : payment.method === 'eWallet' ? `${payment.wallet} (•••• ${payment.walletLast4})`
+        : provider ? provider.label : payment.method;
+    const statusText = { pending: payment.method === 'cod' ? 'Pay on delivery' : 'Pending', authorised: 'Authorised', captured: 'Paid', failed: 'Failed' }[payment.status] || payment.status;
+    return `${what} — ${statusText}`;
+}
+
+// Live status under the payment options while a payment is running
+function renderPaymentStatus(payment) {
+    const box = document.getElementById('payment-status');
+    if (!box) return;
+    if (!payment) { box.hidden = true; box.textContent = ''; return; }
+    const waiting = payment.method === 'eWallet' ? `Waiting for you to approve the payment in ${payment.wallet}…` : 'Contacting your bank…';
+    const text = {
+        pending: payment.method === 'cod' ? payment.message : waiting,
+        authorised: 'Payment authorised, finishing up…',
+        captured: 'Payment received.',
+        failed: `${payment.message} No money was taken and your cart is unchanged.`
+    }[payment.status];
+    box.className = `payment-status payment-status-${payment.status}`;
+    box.textContent = text || '';
+    box.hidden = !text;
+}
 
+// Show only the selected method's fields
+function setupPaymentMethodPanels(form) {
+    const update = () => {
+        const selected = form.querySelector('input[name="paymentMethod"]:checked');
+        form.querySelectorAll('[data-payment-panel]').forEach(panel => { panel.hidden = !selected || panel.dataset.paymentPanel !== selected.value; });
+        renderPaymentStatus(null);
+    };
+    form.querySelectorAll('input[name="paymentMethod"]').forEach(radio => radio.addEventListener('change', update));
+    update();
 }
 
 
 
-function handleCheckoutForm(event) {
+async function handleCheckoutForm(event) {
 
     event.preventDefault();
 
@@ -950,21 +3479,46 @@ function handleCheckoutForm(event) {
 
     if (!validateCheckoutForm(form)) { alert('Please correct the errors in the form before placing your order.'); return; }
 
+    // stock may have sold out while the customer was filling in the form
+    const stockChanges = enforceCartStock();
+    if (stockChanges.length) {
+        alert('Some items in your cart changed before we could place your order:\n' + describeStockChanges(stockChanges) + '\n\nPlease review your order and try again.');
+        if (getCartItems().length) renderOrderSummary();
+        else window.location.href = 'cart.html';
+        return;
+    }
+
     const cart = getCartItems();
+    const totals = calculateCartTotals(cart, { destination: getCheckoutDestination(form) });
+    const formData = new FormData(form);
+    const customer = {};
+    formData.forEach((v,k) => customer[k] = typeof v === 'string' ? v.trim() : v);
+    Object.assign(customer, getCheckoutAddress(form)); // typed-in names for unlisted places
+    customer.phone = normalizePhPhone(customer.phone).value; // stored in E.164 (+63...)
 
-    const totals = calculateCartTotals(cart);
+    // take payment first; a failed payment leaves the cart, voucher and stock untouched
+    const placeBtn = form.querySelector('.place-order-btn');
+    const placeLabel = placeBtn ? placeBtn.textContent : '';
+    if (placeBtn) { placeBtn.disabled = true; placeBtn.textContent = 'Processing payment…'; }
+    let payment;
+    try { payment = await processPayment(customer.paymentMethod, totals.total, form, renderPaymentStatus); }
+    finally { if (placeBtn) { placeBtn.disabled = false; placeBtn.textContent = placeLabel; } }
+    renderPaymentStatus(payment);
+    if (payment.status === PAYMENT_STATUS.FAILED) return;
 
-    const formData = new FormData(form);
+    // save the order to the user's history
+    const order = createOrder({ cart, totals, customer, payment, business: getBusinessOrderDetails(form), username: getCurrentUsername() });
 
-    const customer = {};
+    decrementStock(cart);
 
-    formData.forEach((v,k) => customer[k] = v);
+    const orderNumber = order.orderNumber;
 
-    const orderNumber = 'OS' + Date.now().toString().slice(-6);
+    // count voucher / promotion redemptions for usage limits
+    recordPromotionUsage([...totals.discounts, totals.freeShippingVoucher].filter(Boolean), getCurrentUsername());
 
-    console.log('Order placed:', { orderNumber, customer, items: cart, totals });
+    saveCart([]);
 
-    localStorage.removeItem('cartItems');
+    setActiveVoucherCode(null); // a voucher is used up with the order it was applied to
 
     updateCartCount();
 
@@ -976,62 +3530,2161 @@ function handleCheckoutForm(event) {
 
     if (success) { const num = document.getElementById('order-number'); if (num) num.textContent = orderNumber; success.style.display = 'block'; }
 
+    const viewLink = document.getElementById('view-order-link');
+
+    if (viewLink) viewLink.href = 'orders.html?order=' + encodeURIComponent(orderNumber);
+
+    const invoiceLink = document.getElementById('view-invoice-link');
+
+    if (invoiceLink) invoiceLink.href = 'invoice.html?order=' + encodeURIComponent(orderNumber);
+
 }
 
 
 
-// ================= Init =================
+// ================= ORDER HISTORY =================
+// Placed orders are kept in localStorage under `os_orders` (newest first):
+// { orderNumber, username, createdAt, status, items, totals, voucher, payment, business, subscription, customer }
 
-document.addEventListener('DOMContentLoaded', () => {
+function getOrders() {
+    try { return JSON.parse(localStorage.getItem('os_orders')) || []; } catch (e) { return []; }
+}
 
-    updateCartCount();
+function saveOrders(orders) {
+    try { localStorage.setItem('os_orders', JSON.stringify(orders)); } catch (e) {}
+}
 
-    // migrate any stored image URLs to normalized forms
+// Orders placed by one account
+function getOrdersForUser(username) {
+    if (!username) return [];
+    return getOrders().filter(o => o.username === username);
+}
 
-    try { migrateStoredImages(); } catch (e) { /* ignore migration errors */ }
+function getOrderByNumber(orderNumber) {
+    return getOrders().find(o => o.orderNumber === orderNumber) || null;
+}
 
-    // Setup catalog if there are product cards (works for catalog, promos, or any product page)
-    if (document.querySelector('.product-card')) setupCatalog();
+// Fulfilment steps an order moves through in the back office. Cancelling puts the items back
+// in stock and is final.
+const ORDER_STATUSES = ['placed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Move an order to another status, recording who did it in `order.statusHistory`.
+// Returns { ok, order } or { ok: false, message }.
+function updateOrderStatus(orderNumber, status, by = getCurrentUsername()) {
+    if (!ORDER_STATUSES.includes(status)) return { ok: false, message: `Unknown order status "${status}"` };
+    const orders = getOrders();
+    const order = orders.find(o => o.orderNumber === orderNumber);
+    if (!order) return { ok: false, message: `Order ${orderNumber} was not found` };
+    if (order.status === status) return { ok: false, message: `Order ${orderNumber} is already ${status}` };
+    if (order.status === 'cancelled') return { ok: false, message: 'Cancelled orders cannot be reopened' };
+
+    const now = new Date().toISOString();
+    order.statusHistory = [...(order.statusHistory || [{ status: order.status, at: order.createdAt, by: null }]), { status, at: now, by: by || null }];
+    order.status = status;
+    if (status === 'cancelled') restockItems(order.items);
+    saveOrders(orders);
+    return { ok: true, order };
+}
 
-    if (document.getElementById('cart-items-list')) renderCart();
+// Unique OS###### order number
+function generateOrderNumber() {
+    const taken = new Set(getOrders().map(o => o.orderNumber));
+    let n = Date.now();
+    let orderNumber = 'OS' + n.toString().slice(-6);
+    while (taken.has(orderNumber)) { n += 1; orderNumber = 'OS' + n.toString().slice(-6); }
+    return orderNumber;
+}
 
-    if (document.getElementById('checkout-form')) {
+// Build and store an order from the cart, its totals and the checkout form values
+function createOrder({ cart, totals, customer, payment = null, business = null, subscription = null, username }) {
+    const order = {
+        orderNumber: generateOrderNumber(),
+        username: username || null,
+        createdAt: new Date().toISOString(),
+        status: 'placed',
+        items: cart.map(({ id, name, price, image, quantity }) => ({ id, name, price, image, quantity })),
+        totals: {
+            subtotal: totals.subtotal,
+            discount: totals.discount,
+            discounts: totals.discounts,
+            shipping: totals.shipping,
+            shippingZone: totals.shippingInfo ? totals.shippingInfo.zone.label : null,
+            shippingNote: totals.shippingInfo ? totals.shippingInfo.freeReason : null,
+            vat: totals.vat,
+            total: totals.total,
+            itemCount: totals.itemCount
+        },
+        voucher: totals.appliedVoucher || null,
+        payment,
+        business,
+        subscription,
+        customer
+    };
+    saveOrders([order, ...getOrders()]);
+    return order;
+}
 
-        renderOrderSummary();
+// Put an old order's items back into the cart at today's catalog prices.
+// Returns { added, unavailable } where unavailable lists item names no longer sold or out of stock.
+function reorderItems(order) {
+    const result = { added: 0, unavailable: [] };
+    (order.items || []).forEach(item => {
+        const product = getProductBySku(item.id);
+        if (!product) { result.unavailable.push(item.name); return; }
+        const added = addItemToCart(productToCartItem(product, item.quantity));
+        if (!added) result.unavailable.push(item.name);
+        result.added += added;
+    });
+    return result;
+}
 
-        const form = document.getElementById('checkout-form');
+function formatOrderDate(iso) {
+    try {
+        return new Date(iso).toLocaleString('en-PH', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    } catch (e) { return iso; }
+}
 
-        form.addEventListener('submit', handleCheckoutForm);
+// ================= My Orders Page =================
+// orders.html lists the signed-in user's orders; orders.html?order=OS123456 shows one order.
 
-        form.querySelectorAll('[required]').forEach(input => input.addEventListener('blur', () => validateCheckoutForm(form)));
+function renderOrdersPage() {
+    const container = document.getElementById('orders-content');
+    if (!container) return;
 
+    if (!isLoggedIn()) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>Sign in to see your orders.</h2>
+                <p><a href="login.html?return=${encodeURIComponent('orders.html')}" class="shop-now-btn">Sign In</a></p>
+            </div>`;
+        return;
     }
 
+    const params = new URLSearchParams(window.location.search);
+    const orderNumber = params.get('order');
+    const orders = getOrdersForUser(getCurrentUsername());
+
+    if (orderNumber) {
+        const order = orders.find(o => o.orderNumber === orderNumber);
+        container.innerHTML = order ? renderOrderDetail(order) : `
+            <div class="orders-empty">
+                <h2>Order ${escapeHtml(orderNumber)} was not found.</h2>
+                <p><a href="orders.html" class="shop-now-btn">Back to My Orders</a></p>
+            </div>`;
+    } else if (orders.length === 0) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>You haven't placed any orders yet.</h2>
+                <p><a href="catalog.html" class="shop-now-btn">start shopping</a></p>
+            </div>`;
+    } else {
+        container.innerHTML = `<div class="orders-list">${orders.map(renderOrderRow).join('')}</div>`;
+    }
 
+    if (!container.dataset.handlersAttached) {
+        container.addEventListener('click', (e) => {
+            const csvBtn = e.target.closest && e.target.closest('.order-csv-btn');
+            if (csvBtn) {
+                const order = getOrderByNumber(csvBtn.dataset.order);
+                if (order) exportOrderCsv(order);
+                return;
+            }
+            const btn = e.target.closest && e.target.closest('.reorder-btn');
+            if (!btn) return;
+            const order = getOrderByNumber(btn.dataset.order);
+            if (!order) return;
+            const result = reorderItems(order);
+            if (result.unavailable.length) showToast(`Not available or out of stock: ${result.unavailable.join(', ')}`, 2200);
+            if (result.added > 0) {
+                showToast(`Added ${result.added} item(s) to your cart`);
+                setTimeout(() => { window.location.href = 'cart.html'; }, 900);
+            }
+        });
+        container.dataset.handlersAttached = '1';
+    }
+}
 
-    // adjust nav/login display depending on auth state
+function renderOrderRow(order) {
+    const preview = order.items.slice(0, 3).map(i => escapeHtml(i.name)).join(', ') + (order.items.length > 3 ? ` +${order.items.length - 3} more` : '');
+    return `
+        <div class="order-row">
+            <div class="order-row-info">
+                <a href="orders.html?order=${encodeURIComponent(order.orderNumber)}" class="order-row-number">${escapeHtml(order.orderNumber)}</a>
+                <span class="order-row-date">${escapeHtml(formatOrderDate(order.createdAt))}${order.subscription ? ' · <span class="order-row-tag">Subscription</span>' : ''}</span>
+                <span class="order-row-items">${preview}</span>
+            </div>
+            <span class="order-status order-status-${escapeHtml(order.status)}">${escapeHtml(order.status)}</span>
+            <span class="order-row-total">${formatPrice(order.totals.total)}</span>
+            <div class="order-row-actions">
+                <a href="orders.html?order=${encodeURIComponent(order.orderNumber)}" class="order-view-btn">View</a>
+                <button class="reorder-btn" data-order="${escapeHtml(order.orderNumber)}">Reorder</button>
+            </div>
+        </div>
+    `;
+}
 
-    renderAuthLinks();
+function renderOrderDetail(order) {
+    const c = order.customer || {};
+    const itemsHtml = order.items.map(item => `
+        <div class="order-detail-item">
+            <span class="order-detail-name">${escapeHtml(item.name)} <small>(${escapeHtml(item.id)})</small>${getProductBySku(item.id) ? ` <a href="${escapeHtml(getProductUrl(item.id))}#product-reviews" class="order-review-link">Write a review</a>` : ''}</span>
+            <span>${item.quantity} × ${formatPrice(item.price)}</span>
+            <span class="order-detail-line-total">${formatPrice(item.price * item.quantity)}</span>
+        </div>
+    `).join('');
+    const discountsHtml = (order.totals.discounts || []).map(d => `
+        <div class="summary-line discount-line"><span>${escapeHtml(d.description || d.code || 'Discount')}</span><span class="summary-value">-${formatPrice(d.amount)}</span></div>
+    `).join('');
+    return `
+        <p><a href="orders.html" class="order-back-link">&larr; Back to My Orders</a></p>
+        <div class="order-detail">
+            <div class="order-detail-header">
+                <div>
+                    <h2>Order ${escapeHtml(order.orderNumber)}</h2>
+                    <p class="order-row-date">Placed ${escapeHtml(formatOrderDate(order.createdAt))}</p>
+                </div>
+                <span class="order-status order-status-${escapeHtml(order.status)}">${escapeHtml(order.status)}</span>
+            </div>
+            <div class="order-detail-items">${itemsHtml}</div>
+            <div class="order-detail-columns">
+                <div class="order-detail-customer">
+                    <h3>Ship to</h3>
+                    <p>${escapeHtml(c.fullName || '')}<br>${escapeHtml(c.address || '')}${c.barangay ? `<br>Brgy. ${escapeHtml(c.barangay)}` : ''}<br>${escapeHtml([c.city, c.province].filter(Boolean).join(', '))}${c.postalCode ? ` ${escapeHtml(c.postalCode)}` : ''}</p>
+                    <p>${escapeHtml(c.email || '')}<br>${escapeHtml(c.phone ? formatPhPhone(c.phone) : '')}</p>
+                    <p>Payment: ${escapeHtml(order.payment ? describePayment(order.payment) : (c.paymentMethod || '-'))}</p>
+                    ${order.business ? `<p>Billed to ${escapeHtml(order.business.companyName)} (TIN ${escapeHtml(order.business.tin)})<br>Ordered by ${escapeHtml(order.business.orderedBy)}${order.business.poNumber ? `<br>PO no. ${escapeHtml(order.business.poNumber)}` : ''}${order.business.costCentre ? `<br>Cost centre ${escapeHtml(order.business.costCentre)}` : ''}</p>` : ''}
+                </div>
+                <div class="order-detail-totals">
+                    <div class="summary-line"><span>Subtotal (${order.totals.itemCount} items)</span><span class="summary-value">${formatPrice(order.totals.subtotal)}</span></div>
+                    ${order.voucher ? `<div class="summary-line"><span>Voucher</span><span class="summary-value">${escapeHtml(order.voucher)}</span></div>` : ''}
+                    ${discountsHtml}
+                    <div class="summary-line"><span>Shipping${order.totals.shippingZone ? ` (${escapeHtml(order.totals.shippingZone)})` : ''}</span><span class="summary-value">${formatPrice(order.totals.shipping)}</span></div>
+                    <div class="summary-line total-line"><span>Total</span><span class="summary-value total-value">${formatPrice(order.totals.total)}</span></div>
+                    <div class="vat-breakdown">${renderVatLines(getOrderVatBreakdown(order))}</div>
+                    <button class="reorder-btn" data-order="${escapeHtml(order.orderNumber)}">Reorder these items</button>
+                    <a href="invoice.html?order=${encodeURIComponent(order.orderNumber)}" class="order-view-btn order-invoice-link">View invoice</a>
+                    <button type="button" class="order-view-btn order-csv-btn" data-order="${escapeHtml(order.orderNumber)}">Download CSV</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+
+
+// ================= SUBSCRIPTIONS =================
+// Replenishment subscriptions for consumables (products marked `subscribable` in products.js), kept
+// per account under `os_subscriptions:<username>` as
+// [{ id, sku, quantity, intervalWeeks, status: 'active' | 'paused', nextDate: 'YYYY-MM-DD', createdAt, updatedAt, lastOrderNumber }].
+// When a signed-in page loads, every subscription that has come due is placed as one order priced
+// by calculateCartTotals() like a checkout, shipped to the address of the customer's latest order
+// and paid cash on delivery. Subscriber-only rules in PROMOTIONS apply; typed vouchers do not.
+// A subscription that missed several cycles while nobody visited produces one order, not a backlog.
 
+const SUBSCRIPTION_INTERVALS = [2, 4, 8]; // weeks
+const SUBSCRIPTION_PREVIEW_WEEKS = 12;
+const SUBSCRIPTION_MAX_QTY = 999;
+
+function getSubscriptionsStorageKey(username = getCurrentUsername()) {
+    return username ? 'os_subscriptions:' + username : null;
+}
+
+function getSubscriptions(username = getCurrentUsername()) {
+    const key = getSubscriptionsStorageKey(username);
+    if (!key) return [];
+    try { return JSON.parse(localStorage.getItem(key)) || []; } catch (e) { return []; }
+}
+
+function saveSubscriptions(list, username = getCurrentUsername()) {
+    const key = getSubscriptionsStorageKey(username);
+    if (!key) return;
+    try { localStorage.setItem(key, JSON.stringify(list || [])); } catch (e) {}
+}
+
+function isSubscribable(sku) {
+    const product = getProductBySku(sku);
+    return !!(product && product.subscribable);
+}
 
+function getSubscriptionForSku(sku) {
+    return getSubscriptions().find(s => s.sku === sku) || null;
+}
 
-    // Add-to-cart buttons keep their normal text; auth prompt displays on click if not logged in
+// The subscriber discount rule, if one is configured
+function getSubscriberPromotion() {
+    return getPromotions().find(p => p.subscriptionOnly && p.automatic) || null;
+}
 
+// 'YYYY-MM-DD' in local time
+function toIsoDate(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
 
+function addWeeksToIsoDate(iso, weeks) {
+    const d = new Date(iso + 'T00:00:00');
+    d.setDate(d.getDate() + weeks * 7);
+    return toIsoDate(d);
+}
 
-    // If user returned from login and a pending add-to-cart action exists, apply it now
+function formatDeliveryDate(iso) {
     try {
-        const pendingRaw = localStorage.getItem('os_pending_add');
-        if (pendingRaw && isLoggedIn()) {
-            const pending = JSON.parse(pendingRaw);
-            if (pending && pending.id) {
-                addItemToCart(pending);
-                showToast('Added item to cart after sign-in');
-                localStorage.removeItem('os_pending_add');
-                if (document.getElementById('cart-items-list')) renderCart();
-            }
+        return new Date(iso + 'T00:00:00').toLocaleDateString('en-PH', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    } catch (e) { return iso; }
+}
+
+// Returns null when the quantity / interval are usable, otherwise a customer-facing reason
+function validateSubscriptionSettings(quantity, intervalWeeks) {
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > SUBSCRIPTION_MAX_QTY) return `Enter a quantity from 1 to ${SUBSCRIPTION_MAX_QTY}`;
+    if (!SUBSCRIPTION_INTERVALS.includes(intervalWeeks)) return `Choose a delivery every ${SUBSCRIPTION_INTERVALS.slice(0, -1).join(', ')} or ${SUBSCRIPTION_INTERVALS.slice(-1)} weeks`;
+    return null;
+}
+
+// Start a subscription, or change the quantity / interval of the one already running for this SKU.
+// The first delivery is one interval from today. Returns { ok, subscription, updated } or { ok: false, message }.
+function subscribeToProduct(sku, quantity, intervalWeeks) {
+    if (!isLoggedIn()) return { ok: false, message: 'Sign in to subscribe' };
+    if (!isSubscribable(sku)) return { ok: false, message: 'This product is not available on subscription' };
+    const problem = validateSubscriptionSettings(quantity, intervalWeeks);
+    if (problem) return { ok: false, message: problem };
+    const list = getSubscriptions();
+    const now = new Date().toISOString();
+    const existing = list.find(s => s.sku === sku);
+    if (existing) {
+        const subscription = { ...existing, quantity, intervalWeeks, updatedAt: now };
+        saveSubscriptions(list.map(s => (s.id === existing.id ? subscription : s)));
+        return { ok: true, subscription, updated: true };
+    }
+    const subscription = {
+        id: 'sub-' + Date.now().toString(36),
+        sku,
+        quantity,
+        intervalWeeks,
+        status: 'active',
+        nextDate: addWeeksToIsoDate(toIsoDate(new Date()), intervalWeeks),
+        createdAt: now,
+        updatedAt: now,
+        lastOrderNumber: null
+    };
+    saveSubscriptions([...list, subscription]);
+    return { ok: true, subscription, updated: false };
+}
+
+function updateSubscription(id, change) {
+    saveSubscriptions(getSubscriptions().map(s => (s.id === id ? { ...s, ...change(s), updatedAt: new Date().toISOString() } : s)));
+}
+
+function editSubscription(id, quantity, intervalWeeks) {
+    const problem = validateSubscriptionSettings(quantity, intervalWeeks);
+    if (problem) return { ok: false, message: problem };
+    updateSubscription(id, () => ({ quantity, intervalWeeks }));
+    return { ok: true };
+}
+
+// Move the next delivery on by one interval
+function skipSubscriptionDelivery(id) {
+    updateSubscription(id, s => ({ nextDate: addWeeksToIsoDate(s.nextDate, s.intervalWeeks) }));
+}
+
+function pauseSubscription(id) {
+    updateSubscription(id, () => ({ status: 'paused' }));
+}
+
+// A delivery date that passed while paused is not ordered late: the next one is an interval away
+function resumeSubscription(id) {
+    const today = toIsoDate(new Date());
+    updateSubscription(id, s => ({ status: 'active', nextDate: s.nextDate > today ? s.nextDate : addWeeksToIsoDate(today, s.intervalWeeks) }));
+}
+
+function cancelSubscription(id) {
+    saveSubscriptions(getSubscriptions().filter(s => s.id !== id));
+}
+
+// Delivery details for subscription orders: those of the account's latest order, paid on delivery
+function getSubscriptionCustomer(username = getCurrentUsername()) {
+    const last = getOrdersForUser(username).find(o => o.customer && o.customer.address);
+    return last ? { ...last.customer, paymentMethod: 'cod' } : null;
+}
+
+function getSubscriptionDestination(customer) {
+    return customer ? [customer.city, customer.province, customer.region].filter(Boolean).join(', ') : undefined;
+}
+
+// Cart lines for a set of subscriptions at today's prices (products no longer sold are left out)
+function buildSubscriptionCart(subscriptions) {
+    return priceCartItems(subscriptions
+        .map(s => ({ s, product: getProductBySku(s.sku) }))
+        .filter(({ product }) => product)
+        .map(({ s, product }) => productToCartItem(product, s.quantity)));
+}
+
+// Place one order for every active subscription due today or earlier.
+// Returns null when nothing is due (or this page has no catalog to price them with),
+// otherwise { order, shortages: [{ name, wanted, sent }], needsAddress }.
+function processDueSubscriptions(username = getCurrentUsername(), now = new Date()) {
+    if (!username) return null;
+    // pages without products.js (home, login, FAQ...) leave them due for the next shop page
+    if (!getProducts().length) return null;
+    const today = toIsoDate(now);
+    const list = getSubscriptions(username);
+    const due = list.filter(s => s.status === 'active' && s.nextDate <= today);
+    if (!due.length) return null;
+    // they stay due until the first regular checkout gives us an address
+    const customer = getSubscriptionCustomer(username);
+    if (!customer) return { order: null, shortages: [], needsAddress: true };
+
+    const shortages = [];
+    const cart = buildSubscriptionCart(due).map(item => {
+        const wanted = item.quantity;
+        const sent = Math.min(wanted, getStock(item.id));
+        if (sent < wanted) shortages.push({ name: item.name, wanted, sent });
+        return { ...item, quantity: sent };
+    }).filter(item => item.quantity > 0);
+
+    let order = null;
+    if (cart.length) {
+        const items = priceCartItems(cart);
+        const totals = calculateCartTotals(items, { destination: getSubscriptionDestination(customer), subscription: true });
+        const payment = createPaymentRecord('cod', totals.total, { message: 'Pay the courier when your order arrives.' });
+        order = createOrder({ cart: items, totals, customer, payment, subscription: { ids: due.map(s => s.id) }, username });
+        decrementStock(items);
+        recordPromotionUsage([...totals.discounts, totals.freeShippingVoucher].filter(Boolean), username);
+    }
+
+    saveSubscriptions(list.map(s => {
+        if (!due.includes(s)) return s;
+        let nextDate = s.nextDate;
+        while (nextDate <= today) nextDate = addWeeksToIsoDate(nextDate, s.intervalWeeks);
+        return { ...s, nextDate, lastOrderNumber: order ? order.orderNumber : s.lastOrderNumber };
+    }), username);
+    return { order, shortages, needsAddress: false };
+}
+
+// Deliveries coming up in the next `weeks` weeks: [{ date, items, totals }], earliest first
+function getUpcomingSubscriptionOrders(weeks = SUBSCRIPTION_PREVIEW_WEEKS) {
+    const until = addWeeksToIsoDate(toIsoDate(new Date()), weeks);
+    const byDate = {};
+    getSubscriptions().filter(s => s.status === 'active').forEach(s => {
+        for (let date = s.nextDate; date <= until; date = addWeeksToIsoDate(date, s.intervalWeeks)) {
+            (byDate[date] = byDate[date] || []).push(s);
+        }
+    });
+    const destination = getSubscriptionDestination(getSubscriptionCustomer());
+    return Object.keys(byDate).sort().map(date => {
+        const items = buildSubscriptionCart(byDate[date]);
+        return { date, items, totals: items.length ? calculateCartTotals(items, { destination, subscription: true }) : null };
+    });
+}
+
+function describeSubscriptionInterval(weeks) {
+    return `Every ${weeks} weeks`;
+}
+
+function renderSubscriptionIntervalOptions(selected) {
+    return SUBSCRIPTION_INTERVALS.map(w => `<option value="${w}"${w === selected ? ' selected' : ''}>${describeSubscriptionInterval(w)}</option>`).join('');
+}
+
+// "Subscribe & save" box on product cards and cart lines of subscribable products
+function renderSubscribeBox(sku, quantity = 1) {
+    if (!isSubscribable(sku)) return '';
+    const current = getSubscriptionForSku(sku);
+    const promo = getSubscriberPromotion();
+    const label = current
+        ? `Subscribed · ${describeSubscriptionInterval(current.intervalWeeks).toLowerCase()}`
+        : promo && promo.type === 'percent' ? `Subscribe & save ${promo.percent}%` : 'Subscribe';
+    return `
+        <details class="subscribe-box">
+            <summary>${escapeHtml(label)}</summary>
+            <form class="subscribe-form" data-sku="${escapeHtml(sku)}" novalidate>
+                <select name="intervalWeeks" aria-label="Delivery interval">${renderSubscriptionIntervalOptions(current ? current.intervalWeeks : 4)}</select>
+                <input type="number" name="quantity" min="1" max="${SUBSCRIPTION_MAX_QTY}" value="${current ? current.quantity : quantity}" aria-label="Quantity per delivery">
+                <button type="submit" class="subscribe-btn">${current ? 'Update' : 'Subscribe'}</button>
+                <small><a href="subscriptions.html">Manage subscriptions</a></small>
+            </form>
+        </details>`;
+}
+
+// One delegated submit handler for every subscribe box on the page (attach once)
+function setupSubscribeForms() {
+    if (document.body.dataset.subscribeHandlersAttached) return;
+    document.body.addEventListener('submit', (e) => {
+        const form = e.target.closest && e.target.closest('.subscribe-form');
+        if (!form) return;
+        e.preventDefault();
+        if (!isLoggedIn()) { showToast('Sign in to subscribe'); requireLogin(window.location.href); return; }
+        const result = subscribeToProduct(form.dataset.sku, Number(form.elements.quantity.value), Number(form.elements.intervalWeeks.value));
+        if (!result.ok) { showToast(result.message); return; }
+        const s = result.subscription;
+        showToast(result.updated
+            ? `Subscription updated: ${s.quantity} ${describeSubscriptionInterval(s.intervalWeeks).toLowerCase()}`
+            : `Subscribed! First delivery ${formatDeliveryDate(s.nextDate)}`, 2200);
+        const box = form.closest('.subscribe-box');
+        if (box) box.outerHTML = renderSubscribeBox(s.sku, s.quantity);
+    });
+    document.body.dataset.subscribeHandlersAttached = '1';
+}
+
+// ================= Subscriptions Page =================
+// subscriptions.html: edit, skip, pause/resume or cancel each subscription, plus upcoming deliveries
+
+function renderSubscriptionRow(s) {
+    const product = getProductBySku(s.sku);
+    const price = product ? getUnitPrice(s.sku, s.quantity) : 0;
+    const paused = s.status === 'paused';
+    return `
+        <div class="subscription-row${paused ? ' paused' : ''}" data-id="${escapeHtml(s.id)}">
+            <div class="subscription-info">
+                <span class="item-name">${escapeHtml(product ? product.name : s.sku)}</span>
+                <span class="order-row-date">${s.quantity} × ${formatPrice(price)} · ${escapeHtml(describeSubscriptionInterval(s.intervalWeeks))}</span>
+                ${product ? '' : '<span class="stock-note out">No longer sold — it will be left out of deliveries</span>'}
+                <span class="subscription-next">${paused ? 'Paused' : `Next delivery ${escapeHtml(formatDeliveryDate(s.nextDate))}`}</span>
+                ${s.lastOrderNumber ? `<small>Last order <a href="orders.html?order=${encodeURIComponent(s.lastOrderNumber)}">${escapeHtml(s.lastOrderNumber)}</a></small>` : ''}
+            </div>
+            <div class="order-row-actions">
+                <details class="subscription-edit">
+                    <summary class="order-view-btn">Edit</summary>
+                    <form class="subscription-edit-form" novalidate>
+                        <select name="intervalWeeks" aria-label="Delivery interval">${renderSubscriptionIntervalOptions(s.intervalWeeks)}</select>
+                        <input type="number" name="quantity" min="1" max="${SUBSCRIPTION_MAX_QTY}" value="${s.quantity}" aria-label="Quantity per delivery">
+                        <button type="submit" class="reorder-btn">Save</button>
+                    </form>
+                </details>
+                ${paused ? '' : '<button type="button" class="order-view-btn" data-action="skip">Skip next</button>'}
+                <button type="button" class="order-view-btn" data-action="${paused ? 'resume' : 'pause'}">${paused ? 'Resume' : 'Pause'}</button>
+                <button type="button" class="order-view-btn" data-action="cancel">Cancel</button>
+            </div>
+        </div>`;
+}
+
+function renderUpcomingSubscriptionOrders() {
+    const upcoming = getUpcomingSubscriptionOrders();
+    if (!upcoming.length) return `<p class="cart-templates-hint">No deliveries in the next ${SUBSCRIPTION_PREVIEW_WEEKS} weeks.</p>`;
+    return `<div class="subscription-upcoming">${upcoming.map(u => `
+        <div class="subscription-upcoming-row">
+            <span class="subscription-upcoming-date">${escapeHtml(formatDeliveryDate(u.date))}</span>
+            <span class="order-row-items">${u.items.map(i => `${i.quantity} × ${escapeHtml(i.name)}`).join(', ')}</span>
+            <span class="order-row-total">${u.totals ? formatPrice(u.totals.total) : '-'}</span>
+        </div>`).join('')}</div>`;
+}
+
+function renderSubscriptionsPage() {
+    const container = document.getElementById('subscriptions-content');
+    if (!container) return;
+
+    if (!isLoggedIn()) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>Sign in to manage your subscriptions.</h2>
+                <p><a href="login.html?return=${encodeURIComponent('subscriptions.html')}" class="shop-now-btn">Sign In</a></p>
+            </div>`;
+        return;
+    }
+
+    const subscriptions = getSubscriptions();
+    const promo = getSubscriberPromotion();
+    if (subscriptions.length === 0) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>You have no subscriptions yet.</h2>
+                <p>Have ink, toner and bond paper delivered every 2, 4 or 8 weeks${promo ? ` (${escapeHtml(promo.description)})` : ''}. Look for "Subscribe" on the product.</p>
+                <p><a href="catalog.html" class="shop-now-btn">Browse the catalog</a></p>
+            </div>`;
+    } else {
+        const customer = getSubscriptionCustomer();
+        container.innerHTML = `
+            ${customer
+                ? `<p class="subscription-note">Deliveries go to ${escapeHtml([customer.address, customer.city].filter(Boolean).join(', '))} (from your latest order) and are paid cash on delivery.${promo ? ` ${escapeHtml(promo.description)} applies.` : ''}</p>`
+                : `<p class="subscription-note warning">We need a delivery address before the first delivery: <a href="catalog.html">place one regular order</a> and we will deliver your subscriptions there.</p>`}
+            <div class="subscription-list">${subscriptions.map(renderSubscriptionRow).join('')}</div>
+            <h2 class="summary-heading">Upcoming deliveries</h2>
+            <p class="cart-templates-hint">Estimated at today's prices, shipping and discounts.</p>
+            ${renderUpcomingSubscriptionOrders()}`;
+    }
+
+    if (container.dataset.handlersAttached) return;
+    container.addEventListener('click', (e) => {
+        const btn = e.target.closest && e.target.closest('button[data-action]');
+        const row = btn && btn.closest('.subscription-row');
+        if (!row) return;
+        const id = row.dataset.id;
+        const action = btn.dataset.action;
+        if (action === 'skip') { skipSubscriptionDelivery(id); showToast('Next delivery skipped'); }
+        else if (action === 'pause') { pauseSubscription(id); showToast('Subscription paused'); }
+        else if (action === 'resume') { resumeSubscription(id); showToast('Subscription resumed'); }
+        else if (action === 'cancel') {
+            if (!confirm('Cancel this subscription? Orders already placed are not affected.')) return;
+            cancelSubscription(id);
+            showToast('Subscription cancelled');
         }
-    } catch (e) { /* ignore JSON errors */ }
+        renderSubscriptionsPage();
+    });
+    container.addEventListener('submit', (e) => {
+        const form = e.target.closest && e.target.closest('.subscription-edit-form');
+        if (!form) return;
+        e.preventDefault();
+        const result = editSubscription(form.closest('.subscription-row').dataset.id, Number(form.elements.quantity.value), Number(form.elements.intervalWeeks.value));
+        if (!result.ok) { showToast(result.message); return; }
+        showToast('Subscription updated');
+        renderSubscriptionsPage();
+    });
+    container.dataset.handlersAttached = '1';
+}
+
+// ================= INVOICES =================
+// invoice.html?order=OS123456 shows the sales invoice of one placed order. It is built from the
+// stored order only (buildInvoice), so it always matches what the customer was charged, and can be
+// printed or downloaded as a PDF that is generated in the browser (createInvoicePdf).
+
+const INVOICE_SELLER = {
+    name: 'OffiStation',
+    lines: ['Office Supplies and Stationery', 'info@offistation.com', 'Hotline: (02) 8XXX-XXXX']
+};
+
+function getInvoiceNumber(order) {
+    return 'INV-' + String(order.orderNumber).replace(/^OS/, '');
+}
+
+
+
+// Everything printed on an invoice, in display order. Shared by the HTML view and the PDF.
+function buildInvoice(order) {
+    const c = order.customer || {};
+    const t = order.totals;
+    const vat = getOrderVatBreakdown(order);
+    const summary = [{ label: `Subtotal (${t.itemCount} items)`, amount: t.subtotal }];
+    (t.discounts || []).forEach(d => summary.push({ label: d.code ? `Voucher ${d.code} - ${d.description}` : (d.description || 'Discount'), amount: -d.amount }));
+    summary.push({ label: `Shipping${t.shippingZone ? ` (${t.shippingZone})` : ''}${t.shippingNote ? ` - ${t.shippingNote}` : ''}`, amount: t.shipping });
+    if (vat.pricesIncludeVat === false) summary.push({ label: `VAT (${Math.round(vat.rate * 100)}%)`, amount: vat.vatAmount });
+    const vatLines = [
+        { label: 'VATable sales', amount: vat.vatableSales },
+        { label: `VAT (${Math.round(vat.rate * 100)}%)`, amount: vat.vatAmount }
+    ];
+    if (vat.exemptSales) vatLines.push({ label: 'VAT-exempt sales', amount: vat.exemptSales });
+    const b = order.business;
+    const shipTo = [
+        c.fullName,
+        c.address,
+        c.barangay ? `Brgy. ${c.barangay}` : '',
+        [[c.city, c.province].filter(Boolean).join(', '), c.postalCode].filter(Boolean).join(' '),
+        c.email,
+        c.phone ? formatPhPhone(c.phone) : ''
+    ].filter(Boolean);
+    const parties = b
+        ? [{ title: 'Sold to', lines: [b.companyName, `TIN ${b.tin}`, b.billingAddress, `Attn: ${b.orderedBy}`] }, { title: 'Ship to', lines: shipTo }]
+        : [{ title: 'Bill / ship to', lines: shipTo }];
+    parties.push({
+        title: 'Payment',
+        lines: [order.payment ? describePayment(order.payment) : (c.paymentMethod || '-'), order.payment ? `Ref. ${order.payment.reference || order.payment.id}` : ''].filter(Boolean)
+    });
+    return {
+        invoiceNumber: getInvoiceNumber(order),
+        orderNumber: order.orderNumber,
+        issuedAt: order.createdAt,
+        seller: INVOICE_SELLER,
+        references: b ? [b.poNumber ? `PO no. ${b.poNumber}` : '', b.costCentre ? `Cost centre: ${b.costCentre}` : ''].filter(Boolean) : [],
+        parties,
+        items: order.items.map(item => ({ sku: item.id, name: item.name, quantity: item.quantity, unitPrice: item.price, amount: Math.round(item.price * item.quantity * 100) / 100 })),
+        summary,
+        total: t.total,
+        vatLines,
+        footnote: `Prices are ${vat.pricesIncludeVat === false ? 'exclusive' : 'inclusive'} of VAT. Thank you for shopping with OffiStation.`
+    };
+}
+
+function renderInvoice(invoice) {
+    const lineHtml = l => `<div class="summary-line"><span>${escapeHtml(l.label)}</span><span class="summary-value">${l.amount < 0 ? '-' : ''}${formatPrice(Math.abs(l.amount))}</span></div>`;
+    return `
+        <div class="invoice-actions">
+            <a href="orders.html?order=${encodeURIComponent(invoice.orderNumber)}" class="order-back-link">&larr; Back to order</a>
+            <button type="button" class="invoice-print-btn">Print</button>
+            <button type="button" class="invoice-pdf-btn">Download PDF</button>
+        </div>
+        <article class="invoice">
+            <header class="invoice-header">
+                <div>
+                    <h2>${escapeHtml(invoice.seller.name)}</h2>
+                    <p>${invoice.seller.lines.map(escapeHtml).join('<br>')}</p>
+                </div>
+                <div class="invoice-meta">
+                    <h3>SALES INVOICE</h3>
+                    <p>Invoice no. <strong>${escapeHtml(invoice.invoiceNumber)}</strong><br>Order no. ${escapeHtml(invoice.orderNumber)}<br>Date: ${escapeHtml(formatOrderDate(invoice.issuedAt))}${invoice.references.map(r => `<br>${escapeHtml(r)}`).join('')}</p>
+                </div>
+            </header>
+            <div class="invoice-parties">
+                ${invoice.parties.map(party => `
+                <div>
+                    <h4>${escapeHtml(party.title)}</h4>
+                    <p>${party.lines.map(escapeHtml).join('<br>')}</p>
+                </div>`).join('')}
+            </div>
+            <table class="invoice-items">
+                <thead><tr><th>Item</th><th>SKU</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+                <tbody>
+                    ${invoice.items.map(i => `<tr><td>${escapeHtml(i.name)}</td><td>${escapeHtml(i.sku)}</td><td class="num">${i.quantity}</td><td class="num">${formatPrice(i.unitPrice)}</td><td class="num">${formatPrice(i.amount)}</td></tr>`).join('')}
+                </tbody>
+            </table>
+            <div class="invoice-totals">
+                ${invoice.summary.map(lineHtml).join('')}
+                <div class="summary-line total-line"><span>Total</span><span class="summary-value total-value">${formatPrice(invoice.total)}</span></div>
+                <div class="invoice-vat">
+                    ${invoice.vatLines.map(lineHtml).join('')}
+                </div>
+            </div>
+            <p class="invoice-footnote">${escapeHtml(invoice.footnote)}</p>
+        </article>
+    `;
+}
+
+function renderInvoicePage() {
+    const container = document.getElementById('invoice-content');
+    if (!container) return;
+    const orderNumber = new URLSearchParams(window.location.search).get('order') || '';
+
+    if (!isLoggedIn()) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>Sign in to see your invoices.</h2>
+                <p><a href="login.html?return=${encodeURIComponent('invoice.html?order=' + orderNumber)}" class="shop-now-btn">Sign In</a></p>
+            </div>`;
+        return;
+    }
+
+    // admins can open any customer's invoice from the back office
+    const order = isAdmin() ? getOrderByNumber(orderNumber) : getOrdersForUser(getCurrentUsername()).find(o => o.orderNumber === orderNumber);
+    if (!order) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>Order ${escapeHtml(orderNumber)} was not found.</h2>
+                <p><a href="orders.html" class="shop-now-btn">Back to My Orders</a></p>
+            </div>`;
+        return;
+    }
+
+    const invoice = buildInvoice(order);
+    container.innerHTML = renderInvoice(invoice);
+    container.querySelector('.invoice-print-btn').addEventListener('click', () => window.print());
+    container.querySelector('.invoice-pdf-btn').addEventListener('click', () => downloadInvoicePdf(invoice));
+}
+
+// ===== INVOICE PDF =====
+// A small single-purpose PDF writer: A4 pages, the standard Helvetica/Courier fonts and plain
+// text and rules, which is all an invoice needs. Amount columns use Courier so they can be
+// right-aligned without font metrics. Standard fonts only cover Latin-1, hence toPdfText().
+
+const PDF_PAGE = { width: 595, height: 842, margin: 50 };
+
+function toPdfText(s) {
+    return String(s == null ? '' : s)
+        .replace(/₱\s?/g, 'PHP ').replace(/[–—]/g, '-').replace(/[‘’]/g, "'").replace(/[“”]/g, '"')
+        .replace(/•/g, '*').replace(/×/g, 'x').replace(/…/g, '...')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '?')
+        .replace(/[\\()]/g, ch => '\\' + ch);
+}
+
+// Lay the invoice out into one content stream per page
+function layoutInvoicePdf(invoice) {
+    const { width, height, margin } = PDF_PAGE;
+    const right = width - margin;
+    const pages = [];
+    let ops;
+    let y;
+    const newPage = () => { ops = []; pages.push(ops); y = height - margin; };
+    const ensureRoom = (h) => { if (y - h < margin) newPage(); };
+    const text = (x, str, { font = 'F1', size = 10, align = 'left' } = {}) => {
+        const s = toPdfText(str);
+        // Courier glyphs are 0.6em wide; right-aligned text is always set in Courier
+        const tx = align === 'right' ? x - s.replace(/\\(.)/g, '$1').length * size * 0.6 : x;
+        ops.push(`BT /${font} ${size} Tf ${tx.toFixed(2)} ${y.toFixed(2)} Td (${s}) Tj ET`);
+    };
+    const rule = (weight = 0.5) => ops.push(`${weight} w ${margin} ${y.toFixed(2)} m ${right} ${y.toFixed(2)} l S`);
+    const money = (amount) => (amount < 0 ? '-' : '') + formatPrice(Math.abs(amount));
+    const clip = (s, max) => (s.length > max ? s.slice(0, max - 3) + '...' : s);
+
+    newPage();
+    text(margin, invoice.seller.name, { font: 'F2', size: 18 });
+    text(right - 150, 'SALES INVOICE', { font: 'F2', size: 14 });
+    y -= 18;
+    const metaLines = [`Invoice no. ${invoice.invoiceNumber}`, `Order no. ${invoice.orderNumber}`, `Date: ${formatOrderDate(invoice.issuedAt)}`, ...invoice.references];
+    for (let i = 0; i < Math.max(invoice.seller.lines.length, metaLines.length); i++) {
+        if (invoice.seller.lines[i]) text(margin, invoice.seller.lines[i], { size: 9 });
+        if (metaLines[i]) text(right - 150, metaLines[i], { size: 9 });
+        y -= 12;
+    }
+    y -= 10; rule(1); y -= 20;
+
+    // parties side by side in equal columns (~4.6pt per 9pt Helvetica character)
+    const columnWidth = (right - margin) / invoice.parties.length;
+    const columnChars = Math.floor((columnWidth - 10) / 4.6);
+    const wrap = (s, max) => s.split(' ').reduce((lines, word) => {
+        const last = lines[lines.length - 1];
+        if (last && (last + ' ' + word).length <= max) lines[lines.length - 1] = last + ' ' + word;
+        else lines.push(clip(word, max));
+        return lines;
+    }, []);
+    const partyLines = invoice.parties.map(party => party.lines.flatMap(line => wrap(line, columnChars)));
+    invoice.parties.forEach((party, col) => text(margin + col * columnWidth, party.title, { font: 'F2', size: 10 }));
+    y -= 14;
+    for (let i = 0; i < Math.max(...partyLines.map(lines => lines.length)); i++) {
+        partyLines.forEach((lines, col) => { if (lines[i]) text(margin + col * columnWidth, lines[i], { size: 9 }); });
+        y -= 12;
+    }
+    y -= 14;
+
+    const itemHeader = () => {
+        text(margin, 'Item', { font: 'F2', size: 9 });
+        text(300, 'SKU', { font: 'F2', size: 9 });
+        text(373, 'Qty', { font: 'F2', size: 9 });
+        text(428, 'Unit price', { font: 'F2', size: 9 });
+        text(right - 34, 'Amount', { font: 'F2', size: 9 });
+        y -= 6; rule(); y -= 14;
+    };
+    itemHeader();
+    invoice.items.forEach(item => {
+        if (y - 14 < margin) { newPage(); itemHeader(); }
+        text(margin, clip(item.name, 48), { size: 9 });
+        text(300, clip(item.sku, 14), { size: 9 });
+        text(390, String(item.quantity), { font: 'F3', size: 9, align: 'right' });
+        text(470, formatPrice(item.unitPrice), { font: 'F3', size: 9, align: 'right' });
+        text(right, formatPrice(item.amount), { font: 'F3', size: 9, align: 'right' });
+        y -= 14;
+    });
+    y -= 2; rule(); y -= 18;
+
+    const totalLine = (line, opts = {}) => {
+        text(300, clip(line.label, 40), { size: 9, ...opts });
+        text(right, money(line.amount), { font: 'F3', size: 9, align: 'right' });
+        y -= 13;
+    };
+    ensureRoom(13 * (invoice.summary.length + invoice.vatLines.length + 5));
+    invoice.summary.forEach(line => totalLine(line));
+    y += 5; ops.push(`0.5 w 300 ${y.toFixed(2)} m ${right} ${y.toFixed(2)} l S`); y -= 12;
+    totalLine({ label: 'Total', amount: invoice.total }, { font: 'F2' });
+    y -= 8;
+    invoice.vatLines.forEach(line => totalLine(line));
+    y -= 20;
+    text(margin, invoice.footnote, { size: 8 });
+    return pages.map(p => p.join('\n'));
+}
+
+// Assemble page content streams into a PDF file (catalog, page tree, fonts, pages, xref table)
+function buildPdf(pageStreams) {
+    const fonts = ['Helvetica', 'Helvetica-Bold', 'Courier'];
+    const firstPage = 3 + fonts.length;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageStreams.map((_, i) => `${firstPage + i * 2} 0 R`).join(' ')}] /Count ${pageStreams.length} >>`,
+        ...fonts.map(f => `<< /Type /Font /Subtype /Type1 /BaseFont /${f} /Encoding /WinAnsiEncoding >>`)
+    ];
+    const fontRefs = fonts.map((_, i) => `/F${i + 1} ${3 + i} 0 R`).join(' ');
+    pageStreams.forEach((stream, i) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << ${fontRefs} >> >> /Contents ${firstPage + i * 2 + 1} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+    // every character is plain ASCII (toPdfText), so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
+
+function createInvoicePdf(invoice) {
+    return new Blob([buildPdf(layoutInvoicePdf(invoice))], { type: 'application/pdf' });
+}
+
+function downloadInvoicePdf(invoice) {
+    downloadBlob(createInvoicePdf(invoice), `OffiStation-${invoice.invoiceNumber}.pdf`);
+}
+
+// ================= CSV IMPORT / EXPORT =================
+// Procurement lists come from spreadsheets keyed by SKU. The cart page imports a CSV of
+// `sku,quantity` rows through addItemToCart() (so stock caps and bulk prices apply) and reports
+// the rows it could not use. The cart, and any past order, export to CSV with one row per item
+// plus summary rows whose SKU is blank, so an exported file can be imported again as-is.
+
+const CSV_COLUMNS = ['sku', 'name', 'quantity', 'unit_price', 'line_total'];
+
+// RFC 4180 parser: quoted fields, "" escapes, commas and line breaks inside quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') { row.push(field); field = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else field += ch;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows;
+}
+
+function toCsv(rows) {
+    const cell = v => {
+        const s = v === null || v === undefined ? '' : String(v);
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return rows.map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Add the rows of a CSV to the cart.
+// Returns { added: [{ sku, name, requested, added }], problems: [{ line, message }] }.
+function importCartCsv(text) {
+    const result = { added: [], problems: [] };
+    const rows = parseCsv(text);
+    // a header row names the columns; without one the file is read as sku,quantity
+    const header = (rows[0] || []).map(h => h.trim().toLowerCase());
+    const hasHeader = header.includes('sku');
+    const skuCol = hasHeader ? header.indexOf('sku') : 0;
+    const qtyCol = hasHeader ? header.findIndex(h => h === 'quantity' || h === 'qty') : 1;
+    if (hasHeader && qtyCol < 0) {
+        result.problems.push({ line: 1, message: 'No "quantity" column found.' });
+        return result;
+    }
+
+    rows.forEach((row, i) => {
+        if (hasHeader && i === 0) return;
+        const line = i + 1;
+        const sku = (row[skuCol] || '').trim().toLowerCase();
+        const rawQty = (row[qtyCol] || '').trim();
+        if (!sku) {
+            // blank lines and exported summary rows (subtotal, total, ...) carry no SKU
+            if (rawQty) result.problems.push({ line, message: 'Missing SKU.' });
+            return;
+        }
+        const product = getProductBySku(sku);
+        if (!product) { result.problems.push({ line, message: `Unknown SKU "${sku}".` }); return; }
+        if (!/^\d+$/.test(rawQty) || Number(rawQty) < 1) {
+            result.problems.push({ line, message: `Invalid quantity "${rawQty}" for ${sku} (use a whole number of 1 or more).` });
+            return;
+        }
+        const requested = Number(rawQty);
+        const added = addItemToCart(productToCartItem(product, requested));
+        result.added.push({ sku, name: product.name, requested, added });
+        if (added < requested) {
+            result.problems.push({ line, message: added ? `Only ${added} of ${requested} × ${product.name} added (stock limit).` : `${product.name} is out of stock or already in your cart at the stock limit.` });
+        }
+    });
+    if (!rows.length) result.problems.push({ line: 1, message: 'The file is empty.' });
+    return result;
+}
+
+// Item rows followed by summary rows (blank SKU) for a set of totals
+function buildCartCsvRows(items, totals) {
+    const rows = [CSV_COLUMNS];
+    items.forEach(item => rows.push([item.id, item.name, item.quantity, item.price.toFixed(2), (item.price * item.quantity).toFixed(2)]));
+    const summary = (label, amount) => rows.push(['', label, '', '', amount.toFixed(2)]);
+    summary('Subtotal', totals.subtotal);
+    (totals.discounts || []).forEach(d => summary(`Discount: ${d.code || d.description || 'promotion'}`, -d.amount));
+    summary('Shipping', totals.shipping || 0);
+    if (totals.vat) summary(`VAT (${Math.round(totals.vat.rate * 100)}%)${totals.vat.pricesIncludeVat === false ? '' : ' included'}`, totals.vat.vatAmount);
+    summary('Total', totals.total);
+    return rows;
+}
+
+function exportCartCsv() {
+    const cart = getCartItems();
+    if (!cart.length) { showToast('Your cart is empty'); return; }
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([toCsv(buildCartCsvRows(cart, calculateCartTotals(cart)))], { type: 'text/csv' }), `OffiStation-cart-${stamp}.csv`);
+}
+
+function exportOrderCsv(order) {
+    const rows = buildCartCsvRows(order.items, { ...order.totals, vat: getOrderVatBreakdown(order) });
+    const b = order.business;
+    // approval details go after the summary with a blank SKU (so the file still imports), written
+    // into the name column: line_total is kept for amounts that a spreadsheet can add up
+    const info = [['Order', order.orderNumber], ['Date', formatOrderDate(order.createdAt)]];
+    if (b) info.push(['Company', b.companyName], ['Ordered by', b.orderedBy], ['PO number', b.poNumber || ''], ['Cost centre', b.costCentre || '']);
+    info.filter(([, value]) => value).forEach(([label, value]) => rows.push(['', `${label}: ${value}`, '', '', '']));
+    downloadBlob(new Blob([toCsv(rows)], { type: 'text/csv' }), `OffiStation-${order.orderNumber}.csv`);
+}
+
+function renderCsvImportReport(result) {
+    const box = document.getElementById('csv-import-report');
+    if (!box) return;
+    const units = result.added.reduce((s, r) => s + r.added, 0);
+    box.hidden = false;
+    box.innerHTML = `
+        <p><strong>${units} unit(s) added</strong> from ${result.added.filter(r => r.added).length} line(s).</p>
+        ${result.problems.length ? `<ul class="csv-problems">${result.problems.map(p => `<li>Line ${p.line}: ${escapeHtml(p.message)}</li>`).join('')}</ul>` : ''}
+    `;
+}
+
+// Import / export buttons on the cart page
+function setupCartCsvTools() {
+    const fileInput = document.getElementById('cart-csv-file');
+    const exportBtn = document.getElementById('cart-csv-export');
+    if (fileInput && !fileInput.dataset.handlersAttached) {
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            let text;
+            try { text = await file.text(); } catch (e) { showToast('That file could not be read'); return; }
+            const result = importCartCsv(text);
+            renderCsvImportReport(result);
+            renderCart();
+            fileInput.value = ''; // allow importing the same file again
+        });
+        fileInput.dataset.handlersAttached = '1';
+    }
+    if (exportBtn && !exportBtn.dataset.handlersAttached) {
+        exportBtn.addEventListener('click', exportCartCsv);
+        exportBtn.dataset.handlersAttached = '1';
+    }
+}
+
+// ================= SAVED CART TEMPLATES =================
+// Named carts a department orders again and again ("Monthly restock", "New hire kit"), kept per
+// account under `os_cart_templates:<username>` as [{ id, name, items: [{ sku, name, price, quantity }],
+// createdAt, updatedAt }]. The stored name and price are only there to spot changes when the
+// template is loaded; what goes into the cart always comes from the current catalog.
+
+function getCartTemplatesStorageKey(username = getCurrentUsername()) {
+    return username ? 'os_cart_templates:' + username : null;
+}
+
+function getCartTemplates() {
+    const key = getCartTemplatesStorageKey();
+    if (!key) return [];
+    try { return JSON.parse(localStorage.getItem(key)) || []; } catch (e) { return []; }
+}
+
+function saveCartTemplates(list) {
+    const key = getCartTemplatesStorageKey();
+    if (!key) return;
+    try { localStorage.setItem(key, JSON.stringify(list || [])); } catch (e) {}
+}
+
+function findCartTemplateByName(name, list = getCartTemplates()) {
+    const key = String(name || '').trim().toLowerCase();
+    return list.find(t => t.name.toLowerCase() === key) || null;
+}
+
+// Save cart lines under a name; an existing template with the same name is replaced.
+// Returns { ok, template, replaced } or { ok: false, message }.
+function saveCartTemplate(name, items = getCartItems()) {
+    const clean = String(name || '').trim().replace(/\s+/g, ' ');
+    if (!clean) return { ok: false, message: 'Give the template a name' };
+    if (clean.length > 60) return { ok: false, message: 'Keep the name under 60 characters' };
+    if (!items.length) return { ok: false, message: 'Your cart is empty' };
+    const list = getCartTemplates();
+    const existing = findCartTemplateByName(clean, list);
+    const now = new Date().toISOString();
+    const template = {
+        id: existing ? existing.id : 'tpl-' + Date.now().toString(36),
+        name: clean,
+        items: items.map(i => ({ sku: i.id, name: i.name, price: i.price, quantity: i.quantity })),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+    saveCartTemplates(existing ? list.map(t => (t.id === existing.id ? template : t)) : [template, ...list]);
+    return { ok: true, template, replaced: !!existing };
+}
+
+function renameCartTemplate(id, name) {
+    const clean = String(name || '').trim().replace(/\s+/g, ' ');
+    if (!clean) return { ok: false, message: 'Give the template a name' };
+    if (clean.length > 60) return { ok: false, message: 'Keep the name under 60 characters' };
+    const list = getCartTemplates();
+    const clash = findCartTemplateByName(clean, list);
+    if (clash && clash.id !== id) return { ok: false, message: `You already have a template called "${clash.name}"` };
+    saveCartTemplates(list.map(t => (t.id === id ? { ...t, name: clean, updatedAt: new Date().toISOString() } : t)));
+    return { ok: true };
+}
+
+function deleteCartTemplate(id) {
+    saveCartTemplates(getCartTemplates().filter(t => t.id !== id));
+}
+
+// Put a template into the cart. mode 'replace' empties the cart first, 'merge' adds to it.
+// Prices are re-read from the catalog; lines for products we no longer sell are skipped.
+// Returns { added, unavailable: [name], priceChanges: [{ name, was, now }], short: [{ name, added, wanted }] }
+function loadCartTemplate(id, mode = 'merge') {
+    const template = getCartTemplates().find(t => t.id === id);
+    const result = { added: 0, unavailable: [], priceChanges: [], short: [] };
+    if (!template) return result;
+    if (mode === 'replace') saveCart([]);
+    template.items.forEach(line => {
+        const product = getProductBySku(line.sku);
+        if (!product) { result.unavailable.push(line.name || line.sku); return; }
+        const added = addItemToCart(productToCartItem(product, line.quantity));
+        result.added += added;
+        if (added < line.quantity) result.short.push({ name: product.name, added, wanted: line.quantity });
+        // the saved price is the unit price at the template's quantity, so compare like with like:
+        // merging into units already in the cart can reach a bulk tier without the price changing
+        const now = getUnitPrice(product.sku, line.quantity);
+        if (Math.abs(line.price - now) >= 0.005) result.priceChanges.push({ name: product.name, was: line.price, now });
+    });
+    return result;
+}
+
+function renderCartTemplateReport(name, result) {
+    const box = document.getElementById('cart-template-report');
+    if (!box) return;
+    const notes = [
+        ...result.unavailable.map(n => `${n} is no longer sold and was left out`),
+        ...result.short.map(s => `${s.name}: ${s.added} of ${s.wanted} added (stock limit)`),
+        ...result.priceChanges.map(c => `${c.name} is now ${formatPrice(c.now)} (was ${formatPrice(c.was)})`)
+    ];
+    box.hidden = false;
+    box.innerHTML = `
+        <p><strong>${result.added} unit(s) added</strong> from "${escapeHtml(name)}".</p>
+        ${notes.length ? `<ul class="csv-problems">${notes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul>` : ''}
+    `;
+}
+
+function renderCartTemplateRow(template) {
+    const units = template.items.reduce((s, i) => s + i.quantity, 0);
+    return `
+        <li class="cart-template-row" data-id="${escapeHtml(template.id)}">
+            <div class="cart-template-info">
+                <span class="cart-template-name">${escapeHtml(template.name)}</span>
+                <small>${template.items.length} product(s), ${units} unit(s) · saved ${escapeHtml(formatOrderDate(template.updatedAt))}</small>
+            </div>
+            <div class="cart-template-actions">
+                <button type="button" class="reorder-btn" data-action="merge">Add to cart</button>
+                <button type="button" class="order-view-btn" data-action="replace">Replace cart</button>
+                <button type="button" class="order-view-btn" data-action="rename">Rename</button>
+                <button type="button" class="order-view-btn" data-action="delete">Delete</button>
+            </div>
+        </li>`;
+}
+
+// "Saved carts" panel on the cart page (guests get a sign-in prompt)
+function renderCartTemplates() {
+    const panel = document.getElementById('cart-templates');
+    if (!panel) return;
+    if (!isLoggedIn()) {
+        panel.innerHTML = `<p class="cart-templates-hint">Order the same things every month? <a href="login.html?return=${encodeURIComponent('cart.html')}">Sign in</a> to save this cart as a template.</p>`;
+        return;
+    }
+    const templates = getCartTemplates();
+    const cartEmpty = getCartItems().length === 0;
+    panel.innerHTML = `
+        <h2 class="summary-heading">Saved carts</h2>
+        <form class="cart-template-save" id="cart-template-form" novalidate>
+            <input type="text" id="cart-template-name" maxlength="60" placeholder="e.g. Monthly restock" aria-label="Template name"${cartEmpty ? ' disabled' : ''}>
+            <button type="submit" class="csv-export-btn"${cartEmpty ? ' disabled' : ''}><i class="fas fa-bookmark"></i> Save cart as template</button>
+        </form>
+        ${templates.length
+            ? `<ul class="cart-template-list">${templates.map(renderCartTemplateRow).join('')}</ul>`
+            : '<p class="cart-templates-hint">No saved carts yet. Fill your cart, give it a name and save it to reorder it in one click next time.</p>'}
+        <div id="cart-template-report" class="csv-import-report" role="status" hidden></div>
+    `;
+
+    if (panel.dataset.handlersAttached) return;
+    panel.addEventListener('submit', (e) => {
+        if (e.target.id !== 'cart-template-form') return;
+        e.preventDefault();
+        const input = document.getElementById('cart-template-name');
+        const name = input.value.trim();
+        const existing = findCartTemplateByName(name);
+        if (existing && !confirm(`Replace the saved cart "${existing.name}" with what is in your cart now?`)) return;
+        const result = saveCartTemplate(name);
+        if (!result.ok) { showToast(result.message); input.focus(); return; }
+        showToast(result.replaced ? `Updated "${result.template.name}"` : `Saved "${result.template.name}"`);
+        renderCartTemplates();
+    });
+    panel.addEventListener('click', (e) => {
+        const btn = e.target.closest && e.target.closest('.cart-template-row button');
+        if (!btn) return;
+        const template = getCartTemplates().find(t => t.id === btn.closest('.cart-template-row').dataset.id);
+        if (!template) return;
+        const action = btn.dataset.action;
+        if (action === 'merge' || action === 'replace') {
+            if (action === 'replace' && getCartItems().length && !confirm(`Replace everything in your cart with "${template.name}"?`)) return;
+            const result = loadCartTemplate(template.id, action);
+            renderCart();
+            renderCartTemplateReport(template.name, result);
+        } else if (action === 'rename') {
+            const name = prompt('Rename saved cart', template.name);
+            if (name === null) return;
+            const result = renameCartTemplate(template.id, name);
+            if (!result.ok) { showToast(result.message); return; }
+            renderCartTemplates();
+        } else if (action === 'delete') {
+            if (!confirm(`Delete the saved cart "${template.name}"?`)) return;
+            deleteCartTemplate(template.id);
+            showToast('Saved cart deleted');
+            renderCartTemplates();
+        }
+    });
+    panel.dataset.handlersAttached = '1';
+}
+
+// ================= QUICK ORDER PAGE =================
+// quick-order.html: rows of product (SKU or name, with catalog suggestions) and quantity for
+// restock runs. The subtotal follows the rows as they are typed, priced like the cart would
+// price them (bulk tiers included), and "Add all to cart" adds every row with addItemToCart().
+
+const QUICK_ORDER_START_ROWS = 10;
+const QUICK_ORDER_MORE_ROWS = 5;
+
+// Product for what was typed in a row: a SKU, a picked suggestion ("os05 — Ink Cartridge Black"),
+// an exact name or a search that matches a single product. Returns { product, matches }.
+function findQuickOrderProduct(text) {
+    const value = String(text || '').trim();
+    if (!value) return { product: null, matches: 0 };
+    const bySku = getProductBySku(value.split(/\s+—\s+/)[0].toLowerCase());
+    if (bySku) return { product: bySku, matches: 1 };
+    const products = getProducts();
+    const exact = products.find(p => p.name.toLowerCase() === value.toLowerCase());
+    if (exact) return { product: exact, matches: 1 };
+    const found = products.filter(p => productMatchesQuery(p, value));
+    return { product: found.length === 1 ? found[0] : null, matches: found.length };
+}
+
+function renderQuickOrderRow() {
+    return `
+        <tr class="quick-order-row">
+            <td><input type="text" class="qo-product" list="quick-order-products" placeholder="SKU or product name" aria-label="SKU or product name" autocomplete="off"></td>
+            <td><input type="number" class="qo-qty" min="1" value="1" aria-label="Quantity"></td>
+            <td class="qo-match"></td>
+            <td class="qo-price"></td>
+            <td class="qo-total"></td>
+        </tr>`;
+}
+
+// Filled-in rows: [{ row, product, quantity, problem }]
+function getQuickOrderLines(container) {
+    return Array.from(container.querySelectorAll('.quick-order-row')).map(row => {
+        const text = row.querySelector('.qo-product').value.trim();
+        if (!text) return null;
+        const { product, matches } = findQuickOrderProduct(text);
+        const rawQty = row.querySelector('.qo-qty').value.trim();
+        const quantity = /^\d+$/.test(rawQty) ? Number(rawQty) : 0;
+        let problem = null;
+        if (!product) problem = matches > 1 ? `${matches} products match — pick one from the list` : 'No product matches';
+        else if (quantity < 1) problem = 'Enter a quantity of 1 or more';
+        else if (getStock(product.sku) === 0) problem = 'Out of stock';
+        return { row, product, quantity, problem };
+    }).filter(Boolean);
+}
+
+// Refresh every row's match / price / line total and the running subtotal
+function updateQuickOrder(container) {
+    const lines = getQuickOrderLines(container);
+    container.querySelectorAll('.quick-order-row').forEach(row => {
+        ['.qo-match', '.qo-price', '.qo-total'].forEach(sel => { row.querySelector(sel).innerHTML = ''; });
+        row.classList.remove('has-problem');
+    });
+    const valid = lines.filter(l => !l.problem);
+    // rows for the same SKU share one bulk tier, as they would in the cart
+    const priced = priceCartItems(mergeCartItems([], valid.map(l => productToCartItem(l.product, l.quantity))));
+    lines.forEach(({ row, product, quantity, problem }) => {
+        const match = row.querySelector('.qo-match');
+        if (problem) {
+            row.classList.add('has-problem');
+            match.innerHTML = `${product ? `${escapeHtml(product.name)} <small>(${escapeHtml(product.sku)})</small><br>` : ''}<span class="qo-problem">${escapeHtml(problem)}</span>`;
+            return;
+        }
+        const item = priced.find(i => i.id === product.sku);
+        const stock = getStock(product.sku);
+        match.innerHTML = `${escapeHtml(product.name)} <small>(${escapeHtml(product.sku)})</small>${item.quantity > stock ? `<br><span class="qo-problem">Only ${stock} in stock</span>` : ''}`;
+        row.querySelector('.qo-price').textContent = formatPrice(item.price);
+        row.querySelector('.qo-total').textContent = formatPrice(item.price * quantity);
+    });
+    const subtotal = priced.reduce((s, i) => s + i.price * i.quantity, 0);
+    const units = priced.reduce((s, i) => s + i.quantity, 0);
+    const subtotalEl = document.getElementById('quick-order-subtotal');
+    if (subtotalEl) subtotalEl.textContent = `${formatPrice(subtotal)} (${units} item${units === 1 ? '' : 's'})`;
+}
+
+function addQuickOrderToCart(container) {
+    const status = document.getElementById('quick-order-status');
+    const lines = getQuickOrderLines(container);
+    const ready = lines.filter(l => !l.problem);
+    const skipped = lines.filter(l => l.problem);
+    if (!ready.length) {
+        if (status) { status.hidden = false; status.textContent = skipped.length ? 'Fix the highlighted rows first.' : 'Enter at least one SKU or product name.'; }
+        return;
+    }
+    let units = 0;
+    const short = [];
+    ready.forEach(({ row, product, quantity }) => {
+        const added = addItemToCart(productToCartItem(product, quantity));
+        units += added;
+        if (added < quantity) short.push(`${product.name}: ${added} of ${quantity} added (stock limit)`);
+        else row.outerHTML = renderQuickOrderRow(); // clear rows that went in completely
+    });
+    updateQuickOrder(container);
+    if (status) {
+        status.hidden = false;
+        status.innerHTML = `
+            <p><strong>${units} unit(s) added to your cart.</strong> <a href="cart.html">View cart</a></p>
+            ${short.length || skipped.length ? `<ul class="csv-problems">${[...short, ...skipped.map(l => `Not added: "${l.row.querySelector('.qo-product').value.trim()}" — ${l.problem}`)].map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ul>` : ''}`;
+    }
+}
+
+function renderQuickOrderPage() {
+    const container = document.getElementById('quick-order-content');
+    if (!container) return;
+    container.innerHTML = `
+        <datalist id="quick-order-products">
+            ${getProducts().map(p => `<option value="${escapeHtml(p.sku)} — ${escapeHtml(p.name)}"></option>`).join('')}
+        </datalist>
+        <table class="quick-order-table">
+            <thead><tr><th>SKU or product</th><th>Qty</th><th>Product</th><th>Unit price</th><th>Line total</th></tr></thead>
+            <tbody id="quick-order-rows">${Array.from({ length: QUICK_ORDER_START_ROWS }, renderQuickOrderRow).join('')}</tbody>
+        </table>
+        <div class="quick-order-footer">
+            <button type="button" class="order-view-btn" id="quick-order-more">Add ${QUICK_ORDER_MORE_ROWS} more rows</button>
+            <span class="quick-order-subtotal">Subtotal: <strong id="quick-order-subtotal">${formatPrice(0)} (0 items)</strong></span>
+            <button type="button" class="reorder-btn" id="quick-order-add">Add all to cart</button>
+        </div>
+        <div id="quick-order-status" class="csv-import-report" role="status" hidden></div>
+    `;
+    container.addEventListener('input', () => updateQuickOrder(container));
+    container.querySelector('#quick-order-more').addEventListener('click', () => {
+        container.querySelector('#quick-order-rows').insertAdjacentHTML('beforeend', Array.from({ length: QUICK_ORDER_MORE_ROWS }, renderQuickOrderRow).join(''));
+    });
+    container.querySelector('#quick-order-add').addEventListener('click', () => addQuickOrderToCart(container));
+}
+
+// ================= WISHLIST =================
+// Products saved for later, kept per account under `os_wishlist:<username>` as
+// [{ sku, addedAt }]. Names, prices and stock always come from the catalog.
+
+function getWishlistStorageKey(username = getCurrentUsername()) {
+    return username ? 'os_wishlist:' + username : null;
+}
+
+function getWishlist() {
+    const key = getWishlistStorageKey();
+    if (!key) return [];
+    try { return JSON.parse(localStorage.getItem(key)) || []; } catch (e) { return []; }
+}
+
+function saveWishlist(list) {
+    const key = getWishlistStorageKey();
+    if (!key) return;
+    try { localStorage.setItem(key, JSON.stringify(list || [])); } catch (e) {}
+}
+
+function isInWishlist(sku) {
+    return getWishlist().some(w => w.sku === sku);
+}
+
+function addToWishlist(sku) {
+    if (!sku || isInWishlist(sku)) return;
+    saveWishlist([{ sku, addedAt: new Date().toISOString() }, ...getWishlist()]);
+}
+
+function removeFromWishlist(sku) {
+    saveWishlist(getWishlist().filter(w => w.sku !== sku));
+}
+
+// Add or remove a product; returns true if it is now saved
+function toggleWishlist(sku) {
+    if (isInWishlist(sku)) { removeFromWishlist(sku); return false; }
+    addToWishlist(sku);
+    return true;
+}
+
+// Cart "Save for later": park the line in the wishlist and take it out of the cart
+function saveForLater(id) {
+    if (!isLoggedIn()) { showToast('Sign in to save items for later'); requireLogin(window.location.href); return; }
+    addToWishlist(id);
+    removeItem(id);
+    showToast('Saved for later');
+}
+
+// Move one saved product into the cart. Returns the number of units added (0 if out of stock).
+function moveWishlistItemToCart(sku) {
+    const product = getProductBySku(sku);
+    if (!product) return 0;
+    const added = addItemToCart(productToCartItem(product, 1));
+    if (added) removeFromWishlist(sku);
+    return added;
+}
+
+// Heart button shown on every product card
+function renderWishlistToggle(sku) {
+    const saved = isInWishlist(sku);
+    return `<button type="button" class="wishlist-toggle${saved ? ' saved' : ''}" data-sku="${escapeHtml(sku)}" aria-pressed="${saved}" aria-label="${saved ? 'Remove from wishlist' : 'Save to wishlist'}"><i class="${saved ? 'fas' : 'far'} fa-heart" aria-hidden="true"></i></button>`;
+}
+
+// One delegated click handler for every heart on the page (attach once)
+function setupWishlistToggles() {
+    if (document.body.dataset.wishlistHandlersAttached) return;
+    document.body.addEventListener('click', (e) => {
+        const btn = e.target.closest && e.target.closest('.wishlist-toggle');
+        if (!btn) return;
+        e.preventDefault();
+        if (!isLoggedIn()) { showToast('Sign in to use your wishlist'); requireLogin(window.location.href); return; }
+        const saved = toggleWishlist(btn.dataset.sku);
+        btn.outerHTML = renderWishlistToggle(btn.dataset.sku);
+        showToast(saved ? 'Saved to your wishlist' : 'Removed from your wishlist');
+    });
+    document.body.dataset.wishlistHandlersAttached = '1';
+}
+
+// wishlist.html: saved products with "Move to cart" and "Remove"
+function renderWishlistPage() {
+    const container = document.getElementById('wishlist-content');
+    if (!container) return;
+
+    if (!isLoggedIn()) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>Sign in to see your wishlist.</h2>
+                <p><a href="login.html?return=${encodeURIComponent('wishlist.html')}" class="shop-now-btn">Sign In</a></p>
+            </div>`;
+        return;
+    }
+
+    const entries = getWishlist().map(w => ({ ...w, product: getProductBySku(w.sku) })).filter(w => w.product);
+    if (entries.length === 0) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>Your wishlist is empty.</h2>
+                <p>Tap the heart on any product, or use "Save for later" in your cart.</p>
+                <p><a href="catalog.html" class="shop-now-btn">Browse the catalog</a></p>
+            </div>`;
+    } else {
+        container.innerHTML = `<div class="wishlist-list">${entries.map(renderWishlistRow).join('')}</div>`;
+    }
+
+    if (!container.dataset.handlersAttached) {
+        container.addEventListener('click', (e) => {
+            const moveBtn = e.target.closest && e.target.closest('.wishlist-move-btn');
+            const removeBtn = e.target.closest && e.target.closest('.wishlist-remove-btn');
+            if (moveBtn) {
+                const added = moveWishlistItemToCart(moveBtn.dataset.sku);
+                showToast(added ? 'Moved to your cart' : 'Sorry, this item is out of stock');
+                renderWishlistPage();
+            } else if (removeBtn) {
+                removeFromWishlist(removeBtn.dataset.sku);
+                showToast('Removed from your wishlist');
+                renderWishlistPage();
+            }
+        });
+        container.dataset.handlersAttached = '1';
+    }
+}
+
+function renderWishlistRow({ sku, addedAt, product }) {
+    const image = normalizeImageUrl((product.images && product.images[0]) || '');
+    const stockState = getStockState(sku);
+    const stockHtml = stockState === 'out'
+        ? `<span class="stock-note out">Out of stock</span>`
+        : stockState === 'low' ? `<span class="stock-note low">Only ${getStock(sku)} left</span>` : '';
+    return `
+        <div class="wishlist-row">
+            <img src="${escapeHtml(image)}" alt="${escapeHtml(product.alt || product.name)}" class="item-image" onerror="this.onerror=null;this.src='https://via.placeholder.com/70?text=No+Image'">
+            <div class="wishlist-row-info">
+                <span class="item-name">${escapeHtml(product.name)}</span>
+                <span class="order-row-date">Saved ${escapeHtml(formatOrderDate(addedAt))}</span>
+                ${stockHtml}
+            </div>
+            <span class="order-row-total">${formatPrice(product.price)}</span>
+            <div class="order-row-actions">
+                <button class="reorder-btn wishlist-move-btn" data-sku="${escapeHtml(sku)}"${stockState === 'out' ? ' disabled' : ''}>Move to cart</button>
+                <button class="order-view-btn wishlist-remove-btn" data-sku="${escapeHtml(sku)}">Remove</button>
+            </div>
+        </div>
+    `;
+}
+
+
+
+// ================= ADMIN BACK-OFFICE =================
+// admin.html lets accounts with the 'admin' role (isAdmin()) run the shop without editing code:
+//  - Products: edit price, stock, images and promo flags, add products, delete or restore
+//    listings. Edits go to `os_product_overrides` (see PRODUCT CATALOG) and stock counts to
+//    `os_stock`, so storefront pages show them on their next render (open tabs refresh too).
+//  - Vouchers: create codes, expire them early and see how often they were redeemed (`os_promotions`).
+//  - Orders: every customer's orders, filtered by status, customer and date, with status updates.
+
+const ADMIN_TABS = [
+    { id: 'products', label: 'Products' },
+    { id: 'vouchers', label: 'Vouchers' },
+    { id: 'orders', label: 'Orders' }
+];
+
+// Voucher types the back office can create (the full rule set is described above PROMOTIONS)
+const VOUCHER_TYPES = { amount: '₱ off', percent: '% off', free_shipping: 'Free shipping' };
+
+// Is the SKU one of the products.js listings (as opposed to one added in the back office)?
+function isCatalogFileProduct(sku) {
+    return typeof PRODUCTS !== 'undefined' && Array.isArray(PRODUCTS) && PRODUCTS.some(p => p.sku === sku);
+}
+
+// 'deleted', 'added', 'edited' or '' for a products.js listing nobody has changed
+function getAdminProductState(product) {
+    if (product.deleted) return 'deleted';
+    if (!isCatalogFileProduct(product.sku)) return 'added';
+    return getProductOverrides()[product.sku] ? 'edited' : '';
+}
+
+function parseImageList(text) {
+    return String(text || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+}
+
+// Product form values: { sku, name, category, price, compareAtPrice, stock, weightKg, images (one per line),
+// alt, description, promo, badge, baseSku }. Returns { [field]: message } for every problem.
+function validateAdminProduct(values, { isNew = false } = {}) {
+    const errors = {};
+    const sku = String(values.sku || '').trim().toLowerCase();
+    if (isNew) {
+        if (!/^[a-z0-9-]{2,20}$/.test(sku)) errors.sku = 'Use 2-20 letters, numbers or dashes.';
+        else if (getCatalogWithOverrides().some(p => p.sku.toLowerCase() === sku)) errors.sku = 'That SKU is already in the catalog.';
+    }
+    const name = String(values.name || '').trim();
+    if (!name) errors.name = 'Enter a product name.';
+    else if (name.length > 80) errors.name = 'Keep the name under 80 characters.';
+    if (typeof PRODUCT_CATEGORIES !== 'undefined' && !PRODUCT_CATEGORIES.some(c => c.id === values.category)) errors.category = 'Choose a category.';
+    const price = Number(values.price);
+    if (String(values.price || '').trim() === '' || !(price > 0)) errors.price = 'Enter a price above zero.';
+    const compareAt = String(values.compareAtPrice || '').trim();
+    if (compareAt && !(Number(compareAt) > price)) errors.compareAtPrice = 'The "was" price must be higher than the price.';
+    const stock = String(values.stock || '').trim();
+    if (stock && !/^\d+$/.test(stock)) errors.stock = 'Enter the units in stock as a whole number, or leave it blank.';
+    const weight = String(values.weightKg || '').trim();
+    if (weight && !(Number(weight) > 0)) errors.weightKg = 'Enter a weight above zero, or leave it blank.';
+    if (!parseImageList(values.images).length) errors.images = 'Add at least one image path.';
+    if (values.promo && values.baseSku) {
+        const base = getProductBySku(values.baseSku);
+        if (!base || base.promo || base.sku.toLowerCase() === sku) errors.baseSku = 'Pick a regular catalog product.';
+    }
+    return errors;
+}
+
+// Save the product form. Returns { ok, product } or { ok: false, message, errors }.
+// stockShown is the count the form opened with: stock is only written when it was changed,
+// so units sold while the form was open are not put back. A blank count means unlimited.
+function saveAdminProduct(values, { isNew = false, stockShown = '' } = {}) {
+    const errors = validateAdminProduct(values, { isNew });
+    if (Object.keys(errors).length) return { ok: false, message: 'Please check the product details.', errors };
+
+    const sku = isNew ? String(values.sku).trim().toLowerCase() : values.sku;
+    const name = String(values.name).trim();
+    const promo = !!values.promo;
+    const base = promo && values.baseSku ? getProductBySku(values.baseSku) : null;
+    const overrides = getProductOverrides();
+    overrides[sku] = {
+        ...(overrides[sku] || {}),
+        name,
+        category: values.category,
+        price: Math.round(Number(values.price) * 100) / 100,
+        compareAtPrice: String(values.compareAtPrice || '').trim() ? Math.round(Number(values.compareAtPrice) * 100) / 100 : null,
+        weightKg: String(values.weightKg || '').trim() ? Number(values.weightKg) : null,
+        images: parseImageList(values.images),
+        alt: String(values.alt || '').trim() || name,
+        description: String(values.description || '').trim(),
+        promo,
+        badge: promo ? (String(values.badge || '').trim() || null) : null,
+        baseSku: base ? base.sku : null,
+        updatedAt: new Date().toISOString()
+    };
+    const stock = String(values.stock || '').trim();
+    const stockChanged = isNew || stock !== String(stockShown || '').trim();
+    // unlimited needs the catalog stock cleared too, as getStock() falls back to it
+    if (stockChanged && stock) delete overrides[sku].stock;
+    else if (stockChanged) overrides[sku].stock = null;
+    saveProductOverrides(overrides);
+    if (stockChanged) setStockLevel(sku, stock ? stock : null);
+    return { ok: true, product: getProductBySku(sku) };
+}
+
+// Take a listing off the storefront (it can be restored; orders and carts keep their lines)
+function deleteAdminProduct(sku) {
+    const overrides = getProductOverrides();
+    overrides[sku] = { ...(overrides[sku] || {}), deleted: true, updatedAt: new Date().toISOString() };
+    saveProductOverrides(overrides);
+}
+
+function restoreAdminProduct(sku) {
+    const overrides = getProductOverrides();
+    if (!overrides[sku]) return;
+    const { deleted, updatedAt, ...edits } = overrides[sku];
+    if (isCatalogFileProduct(sku) && !Object.keys(edits).length) delete overrides[sku];
+    else overrides[sku] = { ...edits, updatedAt: new Date().toISOString() };
+    saveProductOverrides(overrides);
+}
+
+// Drop every back-office edit to a products.js listing (its stock count stays as it is)
+function revertAdminProduct(sku) {
+    if (!isCatalogFileProduct(sku)) return;
+    const overrides = getProductOverrides();
+    delete overrides[sku];
+    saveProductOverrides(overrides);
+}
+
+// Vouchers are the rules with a code; automatic deals stay in PROMOTIONS
+function getAdminVouchers() {
+    return getPromotions().filter(p => p.code);
+}
+
+// 'scheduled', 'active', 'expired' or 'used up'
+function getVoucherState(promo, now = new Date()) {
+    if (promo.endsAt && now > new Date(promo.endsAt + 'T23:59:59')) return 'expired';
+    if (promo.startsAt && now < new Date(promo.startsAt + 'T00:00:00')) return 'scheduled';
+    if (promo.usageLimit && getVoucherUsage(promo).total >= promo.usageLimit) return 'used up';
+    return 'active';
+}
+
+// Redemptions so far: { total, customers }
+function getVoucherUsage(promo) {
+    const usage = getPromotionUsage()[promo.id] || { total: 0, users: {} };
+    return { total: usage.total, customers: Object.keys(usage.users || {}).length };
+}
+
+function describeVoucherDiscount(promo) {
+    if (promo.type === 'amount') return `${formatPrice(promo.amount)} off`;
+    if (promo.type === 'percent') return `${promo.percent}% off`;
+    if (promo.type === 'free_shipping') return 'Free shipping';
+    return promo.type;
+}
+
+// Voucher form values: { code, description, type, value, minSpend, category, startsAt, endsAt,
+// usageLimit, perUserLimit, stackable }. Returns { [field]: message } for every problem.
+function validateAdminVoucher(values) {
+    const errors = {};
+    const code = String(values.code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9-]{3,20}$/.test(code)) errors.code = 'Use 3-20 letters, numbers or dashes.';
+    else if (getPromotions().some(p => p.id.toUpperCase() === code || (p.code && p.code.toUpperCase() === code))) errors.code = 'That code is already in use.';
+    if (!String(values.description || '').trim()) errors.description = 'Describe the deal; customers see this in the cart.';
+    if (!VOUCHER_TYPES[values.type]) errors.type = 'Choose a discount type.';
+    const value = Number(values.value);
+    if (values.type === 'amount' && !(value > 0)) errors.value = 'Enter the amount off in pesos.';
+    if (values.type === 'percent' && !(value > 0 && value <= 100)) errors.value = 'Enter a percentage above 0, up to 100.';
+    const minSpend = String(values.minSpend || '').trim();
+    if (minSpend && !(Number(minSpend) >= 0)) errors.minSpend = 'Enter a minimum spend of zero or more.';
+    if (values.category && typeof PRODUCT_CATEGORIES !== 'undefined' && !PRODUCT_CATEGORIES.some(c => c.id === values.category)) errors.category = 'Choose a category.';
+    if (values.startsAt && values.endsAt && values.endsAt < values.startsAt) errors.endsAt = 'The end date is before the start date.';
+    ['usageLimit', 'perUserLimit'].forEach(field => {
+        const limit = String(values[field] || '').trim();
+        if (limit && !/^[1-9]\d*$/.test(limit)) errors[field] = 'Enter a whole number, or leave it blank for no limit.';
+    });
+    return errors;
+}
+
+// Add a voucher from the form. Returns { ok, promo } or { ok: false, message, errors }.
+function createAdminVoucher(values) {
+    const errors = validateAdminVoucher(values);
+    if (Object.keys(errors).length) return { ok: false, message: 'Please check the voucher details.', errors };
+
+    const code = String(values.code).trim().toUpperCase();
+    const promo = { id: code, code, type: values.type, description: String(values.description).trim(), stackable: !!values.stackable };
+    if (values.type === 'amount') promo.amount = Math.round(Number(values.value) * 100) / 100;
+    if (values.type === 'percent') promo.percent = Number(values.value);
+    if (Number(values.minSpend) > 0) promo.minSpend = Number(values.minSpend);
+    if (values.category) promo.categories = [values.category];
+    if (values.startsAt) promo.startsAt = values.startsAt;
+    if (values.endsAt) promo.endsAt = values.endsAt;
+    if (values.usageLimit) promo.usageLimit = Number(values.usageLimit);
+    if (values.perUserLimit) promo.perUserLimit = Number(values.perUserLimit);
+    promo.createdAt = new Date().toISOString();
+
+    const stored = getStoredPromotions();
+    stored[promo.id] = promo;
+    saveStoredPromotions(stored);
+    return { ok: true, promo };
+}
+
+// End a voucher now: it stops applying from today (customers holding the code are told it expired)
+function expireAdminVoucher(id) {
+    const promo = getPromotions().find(p => p.id === id);
+    if (!promo) return false;
+    const yesterday = toIsoDate(Date.now() - 24 * 60 * 60 * 1000);
+    const stored = getStoredPromotions();
+    stored[id] = { ...promo, endsAt: yesterday, expiredAt: new Date().toISOString() };
+    if (promo.startsAt && promo.startsAt > yesterday) stored[id].startsAt = yesterday;
+    saveStoredPromotions(stored);
+    return true;
+}
+
+// Orders matching the back-office filters: status, query (order number, customer name, email or
+// username) and from / to dates ('YYYY-MM-DD', inclusive)
+function filterAdminOrders(orders, { status = '', query = '', from = '', to = '' } = {}) {
+    const q = query.trim().toLowerCase();
+    return orders.filter(order => {
+        if (status && order.status !== status) return false;
+        const day = toIsoDate(order.createdAt);
+        if ((from && day < from) || (to && day > to)) return false;
+        if (!q) return true;
+        const c = order.customer || {};
+        return [order.orderNumber, order.username, c.fullName, c.email].some(v => v && String(v).toLowerCase().includes(q));
+    });
+}
+
+// ================= Admin Page =================
+// admin.html?tab=products|vouchers|orders
+
+function getAdminTab() {
+    const tab = new URLSearchParams(window.location.search).get('tab');
+    return ADMIN_TABS.some(t => t.id === tab) ? tab : ADMIN_TABS[0].id;
+}
+
+// Form control wrapped with its label, hint and inline error (#error-admin-<id>)
+function renderAdminField(id, label, control, hint = '') {
+    return `
+        <div class="form-group">
+            <label for="admin-${id}">${label}</label>
+            ${control}
+            ${hint ? `<small class="form-hint">${hint}</small>` : ''}
+            <div class="error-message" id="error-admin-${id}"></div>
+        </div>`;
+}
+
+function renderCategoryOptions(selected, emptyLabel = null) {
+    const categories = typeof PRODUCT_CATEGORIES !== 'undefined' ? PRODUCT_CATEGORIES : [];
+    return (emptyLabel ? `<option value="">${escapeHtml(emptyLabel)}</option>` : '')
+        + categories.map(c => `<option value="${escapeHtml(c.id)}"${c.id === selected ? ' selected' : ''}>${escapeHtml(c.label)}</option>`).join('');
+}
+
+// Values of the admin-<field> controls in a form (checkboxes as booleans)
+function readAdminForm(form, fields) {
+    const values = {};
+    fields.forEach(field => {
+        const input = form.querySelector(`#admin-${field}`);
+        if (input) values[field] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return values;
+}
+
+function showAdminFormErrors(form, fields, errors = {}) {
+    fields.forEach(field => {
+        const box = form.querySelector(`#error-admin-${field}`);
+        const input = form.querySelector(`#admin-${field}`);
+        if (box) { box.textContent = errors[field] || ''; box.style.display = errors[field] ? 'block' : 'none'; }
+        if (input) input.setAttribute('aria-invalid', errors[field] ? 'true' : 'false');
+    });
+    const first = fields.find(field => errors[field]);
+    if (first && form.querySelector(`#admin-${first}`)) form.querySelector(`#admin-${first}`).focus();
+}
+
+const ADMIN_PRODUCT_FIELDS = ['sku', 'name', 'category', 'price', 'compareAtPrice', 'stock', 'weightKg', 'images', 'alt', 'description', 'promo', 'badge', 'baseSku'];
+const ADMIN_VOUCHER_FIELDS = ['code', 'description', 'type', 'value', 'minSpend', 'category', 'startsAt', 'endsAt', 'usageLimit', 'perUserLimit', 'stackable'];
+
+function renderAdminProductRow(product) {
+    const state = getAdminProductState(product);
+    const stock = product.deleted ? null : getStock(product.sku);
+    const category = typeof PRODUCT_CATEGORIES !== 'undefined' ? PRODUCT_CATEGORIES.find(c => c.id === product.category) : null;
+    return `
+        <tr class="admin-product-row${product.deleted ? ' is-deleted' : ''}" data-sku="${escapeHtml(product.sku)}" data-search="${escapeHtml((product.sku + ' ' + product.name).toLowerCase())}">
+            <td>${escapeHtml(product.sku)}</td>
+            <td>${product.deleted ? escapeHtml(product.name) : `<a href="${escapeHtml(getProductUrl(product.sku))}">${escapeHtml(product.name)}</a>`}<small>${escapeHtml(category ? category.label : product.category || '')}</small></td>
+            <td>${formatPrice(product.price)}${product.compareAtPrice ? `<small class="old-price">${formatPrice(product.compareAtPrice)}</small>` : ''}</td>
+            <td>${stock === null ? '–' : stock === Infinity ? 'Unlimited' : stock}</td>
+            <td>${product.promo ? escapeHtml(product.badge || 'Promo') : ''}</td>
+            <td>${state ? `<span class="admin-state admin-state-${state}">${state}</span>` : ''}</td>
+            <td class="admin-actions">
+                ${product.deleted
+                    ? '<button type="button" class="order-view-btn" data-action="restore">Restore</button>'
+                    : '<button type="button" class="order-view-btn" data-action="edit">Edit</button> <button type="button" class="order-view-btn" data-action="delete">Delete</button>'}
+                ${state === 'edited' ? '<button type="button" class="order-view-btn" data-action="revert">Revert</button>' : ''}
+            </td>
+        </tr>`;
+}
+
+// Add / edit form (product = null for a new one)
+function renderAdminProductForm(product = null) {
+    const p = product || { sku: '', name: '', category: '', price: '', compareAtPrice: null, weightKg: null, images: [], alt: '', description: '', promo: false, badge: '', baseSku: '' };
+    const stock = product ? getStock(product.sku) : 0;
+    const stockValue = stock === Infinity ? '' : stock;
+    const regular = getProducts().filter(r => !r.promo && r.sku !== p.sku);
+    return `
+        <form id="admin-product-form" class="admin-form" data-sku="${escapeHtml(p.sku)}" data-stock="${stockValue}" novalidate>
+            <h2 class="summary-heading">${product ? `Edit ${escapeHtml(p.name)}` : 'New product'}</h2>
+            <div class="admin-form-grid">
+                ${renderAdminField('sku', 'SKU', `<input type="text" id="admin-sku" value="${escapeHtml(p.sku)}"${product ? ' readonly' : ''} autocomplete="off">`)}
+                ${renderAdminField('name', 'Name', `<input type="text" id="admin-name" value="${escapeHtml(p.name)}" maxlength="80">`)}
+                ${renderAdminField('category', 'Category', `<select id="admin-category">${renderCategoryOptions(p.category, 'Choose a category')}</select>`)}
+                ${renderAdminField('price', 'Price (₱)', `<input type="number" id="admin-price" value="${p.price === '' ? '' : Number(p.price).toFixed(2)}" min="0" step="0.01">`)}
+                ${renderAdminField('compareAtPrice', '"Was" price (₱)', `<input type="number" id="admin-compareAtPrice" value="${p.compareAtPrice ? Number(p.compareAtPrice).toFixed(2) : ''}" min="0" step="0.01">`, 'Optional. Shown struck through next to the price.')}
+                ${renderAdminField('stock', 'Units in stock', `<input type="number" id="admin-stock" value="${stockValue}" min="0" step="1">`, 'Leave blank for unlimited stock.')}
+                ${renderAdminField('weightKg', 'Shipping weight (kg)', `<input type="number" id="admin-weightKg" value="${typeof p.weightKg === 'number' ? p.weightKg : ''}" min="0" step="0.01">`, 'Leave blank to ship as 0.5 kg.')}
+            </div>
+            ${renderAdminField('images', 'Images', `<textarea id="admin-images" rows="3">${escapeHtml((p.images || []).join('\n'))}</textarea>`, 'One path or URL per line; the first is the card photo.')}
+            ${renderAdminField('alt', 'Photo description (alt text)', `<input type="text" id="admin-alt" value="${escapeHtml(p.alt || '')}">`)}
+            ${renderAdminField('description', 'Description', `<textarea id="admin-description" rows="3">${escapeHtml(p.description || '')}</textarea>`)}
+            <label class="admin-check"><input type="checkbox" id="admin-promo"${p.promo ? ' checked' : ''}> Promo listing (shown on the promos page instead of the catalog)</label>
+            <div class="admin-form-grid admin-promo-fields"${p.promo ? '' : ' hidden'}>
+                ${renderAdminField('badge', 'Sale badge', `<input type="text" id="admin-badge" value="${escapeHtml(p.badge || '')}" maxlength="20">`, 'e.g. -20% or CLEARANCE')}
+                ${renderAdminField('baseSku', 'Deal on', `<select id="admin-baseSku"><option value="">No regular product</option>${regular.map(r => `<option value="${escapeHtml(r.sku)}"${r.sku === p.baseSku ? ' selected' : ''}>${escapeHtml(r.sku)} – ${escapeHtml(r.name)}</option>`).join('')}</select>`, 'Reviews, VAT status and specifications follow this product.')}
+            </div>
+            ${product && getPriceTiers(product).length ? '<p class="cart-templates-hint">Bulk price breaks for this product stay as set in products.js.</p>' : ''}
+            <div class="business-actions">
+                <button type="submit" class="shop-now-btn">${product ? 'Save changes' : 'Add product'}</button>
+                <button type="button" class="order-view-btn" data-action="cancel-edit">Cancel</button>
+            </div>
+        </form>`;
+}
+
+function renderAdminProducts() {
+    const products = getCatalogWithOverrides();
+    return `
+        <div class="admin-toolbar">
+            <input type="search" id="admin-product-search" placeholder="Filter by SKU or name" aria-label="Filter products" autocomplete="off">
+            <button type="button" class="shop-now-btn" id="admin-add-product">Add product</button>
+        </div>
+        <div id="admin-product-form-box"></div>
+        <table class="admin-table">
+            <thead><tr><th>SKU</th><th>Product</th><th>Price</th><th>Stock</th><th>Promo</th><th>Changes</th><th></th></tr></thead>
+            <tbody>${products.map(renderAdminProductRow).join('')}</tbody>
+        </table>`;
+}
+
+function renderAdminVoucherRow(promo) {
+    const state = getVoucherState(promo);
+    const usage = getVoucherUsage(promo);
+    const category = promo.categories && typeof PRODUCT_CATEGORIES !== 'undefined' ? promo.categories.map(id => (PRODUCT_CATEGORIES.find(c => c.id === id) || { label: id }).label).join(', ') : '';
+    const conditions = [
+        promo.minSpend ? `Min. spend ${formatPrice(promo.minSpend)}` : '',
+        category ? `${category} only` : '',
+        promo.skus ? `SKUs ${promo.skus.join(', ')}` : '',
+        promo.perUserLimit ? `${promo.perUserLimit} per customer` : '',
+        promo.stackable ? 'Combines with other deals' : ''
+    ].filter(Boolean);
+    return `
+        <tr data-id="${escapeHtml(promo.id)}">
+            <td><strong>${escapeHtml(promo.code)}</strong><small>${escapeHtml(promo.description || '')}</small></td>
+            <td>${escapeHtml(describeVoucherDiscount(promo))}</td>
+            <td>${conditions.map(escapeHtml).join('<br>') || '–'}</td>
+            <td>${escapeHtml(promo.startsAt || 'Any time')} → ${escapeHtml(promo.endsAt || 'no end date')}</td>
+            <td>${usage.total}${promo.usageLimit ? ` / ${promo.usageLimit}` : ''}<small>${usage.customers} customer${usage.customers === 1 ? '' : 's'}</small></td>
+            <td><span class="admin-state admin-state-${state.replace(' ', '-')}">${state}</span></td>
+            <td class="admin-actions">${state === 'expired' ? '' : '<button type="button" class="order-view-btn" data-action="expire">Expire now</button>'}</td>
+        </tr>`;
+}
+
+function renderAdminVouchers() {
+    return `
+        <table class="admin-table">
+            <thead><tr><th>Code</th><th>Discount</th><th>Conditions</th><th>Valid</th><th>Used</th><th>Status</th><th></th></tr></thead>
+            <tbody>${getAdminVouchers().map(renderAdminVoucherRow).join('')}</tbody>
+        </table>
+        <form id="admin-voucher-form" class="admin-form" novalidate>
+            <h2 class="summary-heading">New voucher</h2>
+            <div class="admin-form-grid">
+                ${renderAdminField('code', 'Code', '<input type="text" id="admin-code" maxlength="20" autocomplete="off" style="text-transform: uppercase;">')}
+                ${renderAdminField('type', 'Discount', `<select id="admin-type">${Object.keys(VOUCHER_TYPES).map(t => `<option value="${t}">${escapeHtml(VOUCHER_TYPES[t])}</option>`).join('')}</select>`)}
+                ${renderAdminField('value', 'Amount (₱ or %)', '<input type="number" id="admin-value" min="0" step="0.01">', 'Not needed for free shipping.')}
+                ${renderAdminField('minSpend', 'Minimum spend (₱)', '<input type="number" id="admin-minSpend" min="0" step="0.01">')}
+                ${renderAdminField('category', 'Applies to', `<select id="admin-category">${renderCategoryOptions('', 'Whole cart')}</select>`)}
+                ${renderAdminField('startsAt', 'Starts', '<input type="date" id="admin-startsAt">')}
+                ${renderAdminField('endsAt', 'Ends', '<input type="date" id="admin-endsAt">')}
+                ${renderAdminField('usageLimit', 'Total uses', '<input type="number" id="admin-usageLimit" min="1" step="1">', 'Blank for no limit.')}
+                ${renderAdminField('perUserLimit', 'Uses per customer', '<input type="number" id="admin-perUserLimit" min="1" step="1">', 'Customers must sign in to use it.')}
+            </div>
+            ${renderAdminField('description', 'Description', '<input type="text" id="admin-description" maxlength="80" placeholder="₱100 OFF min. spend ₱500">')}
+            <label class="admin-check"><input type="checkbox" id="admin-stackable" checked> Combines with other promotions</label>
+            <div class="business-actions"><button type="submit" class="shop-now-btn">Create voucher</button></div>
+        </form>`;
+}
+
+function renderAdminOrders() {
+    return `
+        <div class="admin-toolbar">
+            <select id="admin-order-status" aria-label="Order status"><option value="">All statuses</option>${ORDER_STATUSES.map(s => `<option value="${s}">${s}</option>`).join('')}</select>
+            <input type="search" id="admin-order-search" placeholder="Order no., customer or email" aria-label="Search orders" autocomplete="off">
+            <label>From <input type="date" id="admin-order-from"></label>
+            <label>To <input type="date" id="admin-order-to"></label>
+        </div>
+        <p class="catalog-result-count" id="admin-order-count" aria-live="polite"></p>
+        <div id="admin-order-list" class="orders-list"></div>`;
+}
+
+function renderAdminOrderRow(order) {
+    const c = order.customer || {};
+    const history = order.statusHistory || [];
+    return `
+        <div class="order-row admin-order-row" data-order="${escapeHtml(order.orderNumber)}">
+            <div class="order-row-info">
+                <span class="order-row-number">${escapeHtml(order.orderNumber)}</span>
+                <span class="order-row-date">${escapeHtml(formatOrderDate(order.createdAt))}${order.subscription ? ' · <span class="order-row-tag">Subscription</span>' : ''}</span>
+                <span class="order-row-items">${escapeHtml(c.fullName || order.username || 'Guest')}${c.email ? ` · ${escapeHtml(c.email)}` : ''} · ${order.totals.itemCount || order.items.length} item(s)</span>
+            </div>
+            <span class="order-status order-status-${escapeHtml(order.status)}">${escapeHtml(order.status)}</span>
+            <span class="order-row-total">${formatPrice(order.totals.total)}</span>
+            <div class="order-row-actions">
+                <select class="admin-order-status-select" aria-label="Status of order ${escapeHtml(order.orderNumber)}"${order.status === 'cancelled' ? ' disabled' : ''}>
+                    ${ORDER_STATUSES.map(s => `<option value="${s}"${s === order.status ? ' selected' : ''}>${s}</option>`).join('')}
+                </select>
+                <a href="invoice.html?order=${encodeURIComponent(order.orderNumber)}" class="order-view-btn">Invoice</a>
+            </div>
+            <details class="admin-order-details">
+                <summary>Items and delivery</summary>
+                <ul>${order.items.map(i => `<li>${i.quantity} × ${escapeHtml(i.name)} <small>(${escapeHtml(i.id)})</small> — ${formatPrice(i.price * i.quantity)}</li>`).join('')}</ul>
+                <p>${escapeHtml([c.address, c.barangay ? `Brgy. ${c.barangay}` : '', c.city, c.province].filter(Boolean).join(', '))}${c.phone ? ` · ${escapeHtml(formatPhPhone(c.phone))}` : ''}</p>
+                <p>Payment: ${escapeHtml(order.payment ? describePayment(order.payment) : (c.paymentMethod || '-'))}</p>
+                ${history.length ? `<p class="cart-templates-hint">${history.map(h => `${escapeHtml(h.status)} ${escapeHtml(formatOrderDate(h.at))}${h.by ? ` by ${escapeHtml(h.by)}` : ''}`).join(' → ')}</p>` : ''}
+            </details>
+        </div>`;
+}
+
+// Refill the order list from the filter controls
+function renderAdminOrderList() {
+    const list = document.getElementById('admin-order-list');
+    if (!list) return;
+    const value = id => { const el = document.getElementById(id); return el ? el.value : ''; };
+    const all = getOrders();
+    const orders = filterAdminOrders(all, { status: value('admin-order-status'), query: value('admin-order-search'), from: value('admin-order-from'), to: value('admin-order-to') });
+    const revenue = orders.filter(o => o.status !== 'cancelled').reduce((s, o) => s + o.totals.total, 0);
+    document.getElementById('admin-order-count').textContent = `Showing ${orders.length} of ${all.length} orders · ${formatPrice(revenue)} excluding cancelled`;
+    list.innerHTML = orders.length ? orders.map(renderAdminOrderRow).join('') : '<p class="cart-templates-hint">No orders match these filters.</p>';
+}
+
+function renderAdminPanel(tab) {
+    const panel = document.getElementById('admin-panel');
+    if (!panel) return;
+    panel.innerHTML = tab === 'vouchers' ? renderAdminVouchers() : tab === 'orders' ? renderAdminOrders() : renderAdminProducts();
+    if (tab === 'orders') renderAdminOrderList();
+}
+
+function renderAdminPage(tab = getAdminTab()) {
+    const container = document.getElementById('admin-content');
+    if (!container) return;
+
+    if (!isLoggedIn()) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>Sign in with an admin account.</h2>
+                <p><a href="login.html?return=${encodeURIComponent('admin.html')}" class="shop-now-btn">Sign In</a></p>
+            </div>`;
+        return;
+    }
+    if (!isAdmin()) {
+        container.innerHTML = `
+            <div class="orders-empty">
+                <h2>This page is for OffiStation staff.</h2>
+                <p>Your account does not have admin access. Ask the shop owner to grant it.</p>
+                <p><a href="index.html" class="shop-now-btn">Back to the shop</a></p>
+            </div>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="admin-tabs" role="tablist">${ADMIN_TABS.map(t => `<button type="button" class="admin-tab${t.id === tab ? ' active' : ''}" role="tab" aria-selected="${t.id === tab}" data-tab="${t.id}">${escapeHtml(t.label)}</button>`).join('')}</div>
+        <div id="admin-panel" class="admin-panel" data-tab="${tab}"></div>`;
+    renderAdminPanel(tab);
+
+    if (container.dataset.handlersAttached) return;
+    const currentTab = () => container.querySelector('#admin-panel').dataset.tab;
+    container.addEventListener('click', (e) => {
+        const target = e.target.closest ? e.target : null;
+        if (!target) return;
+        const tabBtn = target.closest('.admin-tab');
+        if (tabBtn) {
+            try { history.replaceState(null, '', `admin.html?tab=${encodeURIComponent(tabBtn.dataset.tab)}`); } catch (err) {}
+            renderAdminPage(tabBtn.dataset.tab);
+            return;
+        }
+        if (target.closest('#admin-add-product')) {
+            container.querySelector('#admin-product-form-box').innerHTML = renderAdminProductForm();
+            container.querySelector('#admin-sku').focus();
+            return;
+        }
+        const action = target.closest('[data-action]');
+        if (!action) return;
+        if (action.dataset.action === 'cancel-edit') { container.querySelector('#admin-product-form-box').innerHTML = ''; return; }
+
+        const row = action.closest('tr');
+        if (currentTab() === 'vouchers' && action.dataset.action === 'expire') {
+            if (!confirm(`Expire voucher ${row.dataset.id} now? Customers can no longer use it.`)) return;
+            expireAdminVoucher(row.dataset.id);
+            showToast(`Voucher ${row.dataset.id} expired`);
+            renderAdminPanel('vouchers');
+            return;
+        }
+        const sku = row && row.dataset.sku;
+        const product = getCatalogWithOverrides().find(p => p.sku === sku);
+        if (!product) return;
+        if (action.dataset.action === 'edit') {
+            const box = container.querySelector('#admin-product-form-box');
+            box.innerHTML = renderAdminProductForm(product);
+            box.scrollIntoView && box.scrollIntoView({ block: 'start' });
+            container.querySelector('#admin-name').focus();
+        } else if (action.dataset.action === 'delete') {
+            if (!confirm(`Take ${product.name} (${sku}) off the storefront? You can restore it later.`)) return;
+            deleteAdminProduct(sku);
+            showToast(`${product.name} deleted`);
+            renderAdminPanel('products');
+        } else if (action.dataset.action === 'restore') {
+            restoreAdminProduct(sku);
+            showToast(`${product.name} is back on the storefront`);
+            renderAdminPanel('products');
+        } else if (action.dataset.action === 'revert') {
+            if (!confirm(`Undo every change to ${product.name} and go back to the products.js details?`)) return;
+            revertAdminProduct(sku);
+            showToast(`${sku} reverted`);
+            renderAdminPanel('products');
+        }
+    });
+    container.addEventListener('submit', (e) => {
+        const form = e.target;
+        if (form.id === 'admin-product-form') {
+            e.preventDefault();
+            const isNew = !form.dataset.sku;
+            const values = readAdminForm(form, ADMIN_PRODUCT_FIELDS);
+            const result = saveAdminProduct(values, { isNew, stockShown: form.dataset.stock });
+            showAdminFormErrors(form, ADMIN_PRODUCT_FIELDS, result.errors);
+            if (!result.ok) return;
+            showToast(isNew ? `${result.product.name} added` : `${result.product.name} saved`);
+            renderAdminPanel('products');
+        } else if (form.id === 'admin-voucher-form') {
+            e.preventDefault();
+            const result = createAdminVoucher(readAdminForm(form, ADMIN_VOUCHER_FIELDS));
+            showAdminFormErrors(form, ADMIN_VOUCHER_FIELDS, result.errors);
+            if (!result.ok) return;
+            showToast(`Voucher ${result.promo.code} created`);
+            renderAdminPanel('vouchers');
+        }
+    });
+    container.addEventListener('change', (e) => {
+        if (e.target.id === 'admin-promo') {
+            const fields = container.querySelector('.admin-promo-fields');
+            if (fields) fields.hidden = !e.target.checked;
+            return;
+        }
+        if (!e.target.classList.contains('admin-order-status-select')) return;
+        const orderNumber = e.target.closest('.admin-order-row').dataset.order;
+        const status = e.target.value;
+        if (status === 'cancelled' && !confirm(`Cancel order ${orderNumber}? Its items go back in stock and the order cannot be reopened.`)) {
+            e.target.value = getOrderByNumber(orderNumber).status;
+            return;
+        }
+        const result = updateOrderStatus(orderNumber, status);
+        showToast(result.ok ? `Order ${orderNumber} is now ${status}` : result.message);
+        renderAdminOrderList();
+    });
+    container.addEventListener('input', (e) => {
+        if (e.target.id === 'admin-product-search') {
+            const q = e.target.value.trim().toLowerCase();
+            container.querySelectorAll('.admin-product-row').forEach(row => { row.hidden = !!q && !row.dataset.search.includes(q); });
+        } else if (/^admin-order-(status|search|from|to)$/.test(e.target.id)) {
+            renderAdminOrderList();
+        }
+    });
+    container.dataset.handlersAttached = '1';
+}
+
+// ================= Init =================
+
+document.addEventListener('DOMContentLoaded', () => {
+
+    updateCartCount();
+
+    // place any subscription deliveries that have come due since the last visit
+    const subscriptionRun = processDueSubscriptions();
+    if (subscriptionRun && subscriptionRun.order) {
+        const short = subscriptionRun.shortages.map(s => `${s.name}: ${s.sent} of ${s.wanted} (stock)`);
+        showToast([`Subscription order ${subscriptionRun.order.orderNumber} placed`, ...short].join('\n'), 3000);
+    }
+
+    // refresh cart views when another tab changes the cart (stored carts are migrated as they are read)
+    window.addEventListener('storage', handleCartStorageEvent);
+
+    // Build product grids from the catalog data before wiring up their buttons
+    renderProductGrids();
+
+    // product.html?id=<sku> (its related-product cards are wired up with the others below)
+    if (document.getElementById('product-detail-content')) renderProductDetailPage();
+
+    // Setup catalog if there are product cards (works for catalog, promos, or any product page)
+    if (document.querySelector('.product-card')) setupCatalog();
+
+    // Search box and filters (catalog page only)
+    setupCatalogFilters();
+
+    if (document.getElementById('recently-viewed')) renderRecentlyViewed();
+
+    if (document.getElementById('cart-items-list')) renderCart();
+
+    // CSV import / export on the cart page
+    setupCartCsvTools();
+
+    if (document.getElementById('quick-order-content')) renderQuickOrderPage();
+
+    if (document.getElementById('printer-finder-content')) renderPrinterFinderPage();
+
+    if (document.getElementById('orders-content')) renderOrdersPage();
+
+    if (document.getElementById('invoice-content')) renderInvoicePage();
+
+    if (document.getElementById('admin-content')) renderAdminPage();
+
+    if (document.getElementById('business-content')) renderBusinessProfilePage();
+
+    // Heart buttons on product cards, and the wishlist page
+    setupWishlistToggles();
+    if (document.getElementById('wishlist-content')) renderWishlistPage();
+
+    // "Subscribe & save" boxes on cards and cart lines, and the subscriptions page
+    setupSubscribeForms();
+    if (document.getElementById('subscriptions-content')) renderSubscriptionsPage();
+
+    if (document.getElementById('checkout-form')) {
+
+        renderOrderSummary();
+
+        const form = document.getElementById('checkout-form');
+
+        form.addEventListener('submit', handleCheckoutForm);
+
+        // Inline validation as the customer types or picks (text fields) and changes (pickers)
+        Object.keys(CHECKOUT_FIELD_VALIDATORS).forEach(id => {
+            const input = form.querySelector(`#${id}`);
+            if (!input) return;
+            const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+            input.addEventListener(eventName, () => validateCheckoutField(form, id));
+            input.addEventListener('blur', () => validateCheckoutField(form, id));
+        });
+        Object.keys(PAYMENT_FIELD_VALIDATORS).forEach(id => {
+            const input = form.querySelector(`#${id}`);
+            if (!input) return;
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => validateCheckoutField(form, id));
+        });
+        setupPaymentMethodPanels(form);
+        setupBusinessCheckout(form);
+        // Show phone numbers in the canonical format once they are valid
+        const phoneInput = form.querySelector('#phone');
+        if (phoneInput) phoneInput.addEventListener('blur', () => {
+            const phone = normalizePhPhone(phoneInput.value);
+            if (phone.ok) phoneInput.value = formatPhPhone(phone.value);
+        });
+        // Shipping is priced from the chosen city/province: update the summary as it changes
+        setupAddressPickers(form, () => {
+            const destination = getCheckoutDestination(form);
+            if (destination) setShippingDestination(destination);
+            renderCheckoutTotals(calculateCartTotals(getCartItems(), { destination }));
+        });
+        renderCheckoutTotals(calculateCartTotals(getCartItems()));
+        const businessToggle = document.getElementById('checkout-business-vat');
+        if (businessToggle) businessToggle.addEventListener('change', () => {
+            setBusinessCustomer(businessToggle.checked);
+            renderCheckoutTotals(calculateCartTotals(getCartItems(), { destination: getCheckoutDestination(form) }));
+        });
+
+    }
+
+
+
+    // adjust nav/login display depending on auth state
+
+    renderAuthLinks();
+
+
+
+
 
 // ================= HEADER SCROLL ANIMATION =================
 // Shrink header on scroll: adds/removes the `shrunk` class for a compact header